@@ -20,7 +20,22 @@
  *
  * @module app
  * @requires {@link core/systeminfo}
+ * @requires {@link models/match}
+ * @requires {@link views/dialog}
+ * @requires {@link views/input}
+ * @requires {@link views/bezel}
  * @requires {@link views/main}
+ * @requires {@link views/changeover}
+ * @requires {@link views/clock}
+ * @requires {@link views/haptics}
+ * @requires {@link views/history}
+ * @requires {@link views/ladder}
+ * @requires {@link views/menu}
+ * @requires {@link views/replay}
+ * @requires {@link views/roster}
+ * @requires {@link views/setup}
+ * @requires {@link views/settings}
+ * @requires {@link views/stats}
  * @namespace app
  */
 
@@ -28,24 +43,46 @@ define({
     name: 'app',
     requires: [
         'core/systeminfo',
-        'views/main'
+        'models/match',
+        'views/dialog',
+        'views/input',
+        'views/bezel',
+        'views/main',
+        'views/changeover',
+        'views/clock',
+        'views/haptics',
+        'views/history',
+        'views/ladder',
+        'views/menu',
+        'views/replay',
+        'views/roster',
+        'views/setup',
+        'views/settings',
+        'views/stats'
     ],
-    def: function initApp() {
+    def: function initApp(req) {
         'use strict';
 
+        var match = req.models.match,
+            dialog = req.views.dialog;
+
         /**
          * Initializes module.
+         * Asks whether to resume the match left unfinished when the app
+         * was closed. A new match of the same format replaces it
+         * unless resumed.
          *
          * @memberof app
          * @public
          */
         function init() {
             console.log('APP::init');
-        }
-        function point_left() {
-        	var left = document.getElementById("key_point_left");
-        	var value = left.value;
-        	left.innerHTML = value;
+            if (match.hasStarted() &&
+                    match.getState().status === match.STATUS.PLAYING) {
+                dialog.confirm('Resume match?', null, function newMatch() {
+                    match.reset();
+                });
+            }
         }
 
         return {
@@ -0,0 +1,170 @@
+/*global define, tizen*/
+
+/**
+ * Backup module.
+ * Mirrors data to files in the documents folder of the device.
+ * Unlike the local storage the files are kept when the app is
+ * reinstalled. Requires the filesystem.read and filesystem.write
+ * privileges, without the Tizen filesystem API nothing is mirrored.
+ *
+ * @module models/backup
+ * @namespace models/backup
+ */
+define({
+    name: 'models/backup',
+    def: function backup() {
+        'use strict';
+
+        /**
+         * Virtual root of the backup files.
+         *
+         * @memberof models/backup
+         * @private
+         * @const {string}
+         */
+        var ROOT = 'documents',
+
+            /**
+             * Prefix of the backup file names.
+             *
+             * @memberof models/backup
+             * @private
+             * @const {string}
+             */
+            PREFIX = 'tennis-score-board-',
+
+            /**
+             * Extension of the backup file names.
+             *
+             * @memberof models/backup
+             * @private
+             * @const {string}
+             */
+            EXTENSION = '.json',
+
+            /**
+             * Encoding of the backup files.
+             *
+             * @memberof models/backup
+             * @private
+             * @const {string}
+             */
+            ENCODING = 'UTF-8';
+
+        /**
+         * Returns true if the filesystem can be used.
+         *
+         * @memberof models/backup
+         * @private
+         * @returns {boolean}
+         */
+        function isAvailable() {
+            return typeof tizen !== 'undefined' && !!tizen.filesystem;
+        }
+
+        /**
+         * Returns file name of the backup of the given name.
+         *
+         * @memberof models/backup
+         * @private
+         * @param {string} name
+         * @returns {string}
+         */
+        function getFileName(name) {
+            return PREFIX + name + EXTENSION;
+        }
+
+        /**
+         * Resolves the backup folder.
+         *
+         * @memberof models/backup
+         * @private
+         * @param {function} onSuccess Called with the folder.
+         * @param {function} onError
+         */
+        function resolveRoot(onSuccess, onError) {
+            try {
+                tizen.filesystem.resolve(ROOT, onSuccess, onError, 'rw');
+            } catch (e) {
+                onError(e);
+            }
+        }
+
+        /**
+         * Writes data to the backup file of the given name.
+         * Errors are ignored, the local storage keeps the data.
+         *
+         * @memberof models/backup
+         * @public
+         * @param {string} name
+         * @param {*} data Plain data.
+         */
+        function write(name, data) {
+            var text = JSON.stringify(data);
+
+            function ignore() {}
+
+            if (!isAvailable()) {
+                return;
+            }
+            resolveRoot(function onRoot(dir) {
+                var file = null;
+
+                try {
+                    try {
+                        file = dir.resolve(getFileName(name));
+                    } catch (notFound) {
+                        file = dir.createFile(getFileName(name));
+                    }
+                    file.openStream('w', function onStream(stream) {
+                        stream.write(text);
+                        stream.close();
+                    }, ignore, ENCODING);
+                } catch (ignored) {}
+            }, ignore);
+        }
+
+        /**
+         * Reads data from the backup file of the given name.
+         * The callback gets null if there is no readable backup.
+         *
+         * @memberof models/backup
+         * @public
+         * @param {string} name
+         * @param {function} callback
+         */
+        function read(name, callback) {
+            function fail() {
+                callback(null);
+            }
+
+            if (!isAvailable()) {
+                fail();
+                return;
+            }
+            resolveRoot(function onRoot(dir) {
+                try {
+                    dir.resolve(getFileName(name)).readAsText(
+                        function onText(text) {
+                            var data = null;
+
+                            try {
+                                data = JSON.parse(text);
+                            } catch (ignore) {}
+                            callback(data);
+                        },
+                        fail,
+                        ENCODING
+                    );
+                } catch (e) {
+                    fail();
+                }
+            }, fail);
+        }
+
+        return {
+            write: write,
+            read: read
+        };
+    }
+});
@@ -0,0 +1,294 @@
+/*global define, window*/
+
+/**
+ * Clock module.
+ * Times the match and its sets, and counts down the changeover, the set
+ * break and the optional serve clock. Everything is worked out from
+ * timestamps, so the times stay right while the app is in background.
+ *
+ * @module models/clock
+ * @requires {@link core/event}
+ * @requires {@link models/match}
+ * @requires {@link models/settings}
+ * @requires {@link models/storage}
+ * @namespace models/clock
+ */
+define({
+    name: 'models/clock',
+    requires: [
+        'core/event',
+        'models/match',
+        'models/settings',
+        'models/storage'
+    ],
+    def: function initClock(ev, match, settings, storage) {
+        'use strict';
+
+        /**
+         * Storage key of the running countdown.
+         *
+         * @memberof models/clock
+         * @private
+         * @const {string}
+         */
+        var STORAGE_KEY = 'clock',
+
+            /**
+             * Types of countdowns.
+             *
+             * @memberof models/clock
+             * @public
+             * @const {object}
+             */
+            TIMER = {
+                CHANGEOVER: 'changeover',
+                SET_BREAK: 'setBreak',
+                SERVE: 'serve'
+            },
+
+            /**
+             * Durations of the countdowns by type, in milliseconds.
+             *
+             * @memberof models/clock
+             * @private
+             * @const {object}
+             */
+            DURATIONS = {
+                changeover: 90000,
+                setBreak: 120000,
+                serve: 25000
+            },
+
+            /**
+             * Running countdown, null if none.
+             *
+             * @memberof models/clock
+             * @private
+             * @type {object}
+             */
+            timer = null,
+
+            /**
+             * Timeout ending the countdown.
+             *
+             * @memberof models/clock
+             * @private
+             * @type {number}
+             */
+            expireTimer = null;
+
+        /**
+         * Returns milliseconds the match has lasted, 0 if it has not
+         * started. A finished match ends with its last point.
+         *
+         * @memberof models/clock
+         * @public
+         * @returns {number}
+         */
+        function getElapsed() {
+            var state = match.getState();
+
+            if (!state.startedAt) {
+                return 0;
+            }
+            return (state.status === match.STATUS.FINISHED ?
+                    state.lastPointAt : Date.now()) - state.startedAt;
+        }
+
+        /**
+         * Returns milliseconds every set has lasted, including the set
+         * in progress once it has started.
+         *
+         * @memberof models/clock
+         * @public
+         * @returns {number[]}
+         */
+        function getSetTimes() {
+            var state = match.getState(),
+                times = state.sets.map(function getTime(set) {
+                    return set.startedAt ? set.finishedAt - set.startedAt : 0;
+                });
+
+            if (state.status !== match.STATUS.FINISHED && state.setStartedAt) {
+                times.push(Date.now() - state.setStartedAt);
+            }
+            return times;
+        }
+
+        /**
+         * Returns the running countdown with its remaining
+         * milliseconds, null if none.
+         *
+         * @memberof models/clock
+         * @public
+         * @returns {{type: string, remaining: number}|null}
+         */
+        function getTimer() {
+            if (!timer) {
+                return null;
+            }
+            return {
+                type: timer.type,
+                remaining: Math.max(0, timer.endsAt - Date.now())
+            };
+        }
+
+        /**
+         * Saves the running countdown.
+         *
+         * @memberof models/clock
+         * @private
+         */
+        function save() {
+            if (timer) {
+                storage.set(STORAGE_KEY, timer);
+            } else {
+                storage.remove(STORAGE_KEY);
+            }
+        }
+
+        /**
+         * Ends the countdown if its time is up, otherwise waits for it.
+         * Timeouts are late while the device sleeps, so the view
+         * checks too.
+         *
+         * @memberof models/clock
+         * @public
+         * @fires "models.clock.expire"
+         */
+        function check() {
+            var type = '';
+
+            window.clearTimeout(expireTimer);
+            if (!timer) {
+                return;
+            }
+            if (Date.now() < timer.endsAt) {
+                expireTimer = window.setTimeout(
+                    check,
+                    timer.endsAt - Date.now()
+                );
+                return;
+            }
+            type = timer.type;
+            timer = null;
+            save();
+            ev.fire('expire', {
+                type: type
+            });
+        }
+
+        /**
+         * Starts the countdown, replacing the running one.
+         *
+         * @memberof models/clock
+         * @public
+         * @param {string} type One of TIMER values.
+         * @fires "models.clock.start"
+         */
+        function start(type) {
+            timer = {
+                type: type,
+                endsAt: Date.now() + DURATIONS[type]
+            };
+            save();
+            check();
+            ev.fire('start', {
+                type: type
+            });
+        }
+
+        /**
+         * Stops the running countdown.
+         *
+         * @memberof models/clock
+         * @public
+         * @fires "models.clock.cancel"
+         */
+        function cancel() {
+            if (!timer) {
+                return;
+            }
+            timer = null;
+            save();
+            check();
+            ev.fire('cancel');
+        }
+
+        /**
+         * Returns type of the countdown following the point,
+         * null if none.
+         *
+         * @memberof models/clock
+         * @private
+         * @param {object} point Detail of the point event.
+         * @returns {string|null}
+         */
+        function getBreak(point) {
+            var games = match.getState().games;
+
+            if (point.match) {
+                return null;
+            }
+            if (point.set) {
+                return TIMER.SET_BREAK;
+            }
+            // no rest after the first game of a set nor within a tiebreak
+            if (point.changeEnds && point.game && games[0] + games[1] !== 1) {
+                return TIMER.CHANGEOVER;
+            }
+            return settings.get('serveClock') ? TIMER.SERVE : null;
+        }
+
+        /**
+         * Starts the countdown following the point, stops the running
+         * one if there is none.
+         *
+         * @memberof models/clock
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPoint(e) {
+            var type = getBreak(e.detail);
+
+            if (type) {
+                start(type);
+            } else {
+                cancel();
+            }
+        }
+
+        /**
+         * Initializes module.
+         * A countdown which ended while the app was closed is dropped.
+         *
+         * @memberof models/clock
+         * @public
+         */
+        function init() {
+            timer = storage.get(STORAGE_KEY);
+            if (timer && timer.endsAt <= Date.now()) {
+                timer = null;
+                save();
+            }
+            check();
+            ev.on('models.match.point', onPoint);
+            ['undo', 'redo', 'reset', 'undoReset'].forEach(
+                function stopOn(name) {
+                    ev.on('models.match.' + name, cancel);
+                }
+            );
+        }
+
+        return {
+            init: init,
+            TIMER: TIMER,
+            getElapsed: getElapsed,
+            getSetTimes: getSetTimes,
+            getTimer: getTimer,
+            check: check,
+            start: start,
+            cancel: cancel
+        };
+    }
+});
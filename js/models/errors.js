@@ -19,10 +19,10 @@
  * Errors module.
  *
  * @module models/errors
- * @requires {@link EquationInvalidFormatError}
- * @requires {@link DivisionByZeroError}
- * @requires {@link CalculationError}
- * @requires {@link InfinityError}
+ * @requires {@link InvalidSideError}
+ * @requires {@link MatchFinishedError}
+ * @requires {@link InvalidFormatError}
+ * @requires {@link MatchStartedError}
  * @namespace models/errors
  */
 
@@ -32,75 +32,73 @@ define({
         'use strict';
 
         /**
-         * Handler of invalid format error.
+         * Handler of invalid side error.
          *
          * @memberof models/errors
          * @public
          * @param {string} [msg]
-         * @class EquationInvalidFormatError
+         * @class InvalidSideError
          * @augments Error
          * @constructor
          */
-        function EquationInvalidFormatError(msg) {
-            this.name = 'EquationInvalidFormatError';
-            this.message = msg || 'Equation invalid format';
+        function InvalidSideError(msg) {
+            this.name = 'InvalidSideError';
+            this.message = msg || 'Side must be 0 or 1';
         }
-        EquationInvalidFormatError.prototype = new Error();
-        EquationInvalidFormatError.prototype.constructor =
-            EquationInvalidFormatError;
+        InvalidSideError.prototype = new Error();
+        InvalidSideError.prototype.constructor = InvalidSideError;
 
         /**
-         * Handler of division by zero error.
+         * Handler of scoring a match which is already finished.
          *
          * @memberof models/errors
          * @public
          * @param {string} [msg]
-         * @class DivisionByZeroError
+         * @class MatchFinishedError
          * @augments Error
          * @constructor
          */
-        function DivisionByZeroError(msg) {
-            this.name = 'DivisionByZeroError';
-            this.message = msg || 'Division by zero error';
+        function MatchFinishedError(msg) {
+            this.name = 'MatchFinishedError';
+            this.message = msg || 'Match is already finished';
         }
-        DivisionByZeroError.prototype = new Error();
-        DivisionByZeroError.prototype.constructor = DivisionByZeroError;
+        MatchFinishedError.prototype = new Error();
+        MatchFinishedError.prototype.constructor = MatchFinishedError;
 
         /**
-         * Handler of calculation error.
+         * Handler of invalid match format error.
          *
          * @memberof models/errors
          * @public
          * @param {string} [msg]
-         * @class CalculationError
+         * @class InvalidFormatError
          * @augments Error
          * @constructor
          */
-        function CalculationError(msg) {
-            this.name = 'CalculationError';
-            this.message = msg || 'Calculation error';
+        function InvalidFormatError(msg) {
+            this.name = 'InvalidFormatError';
+            this.message = msg || 'Invalid match format';
         }
-        CalculationError.prototype = new Error();
-        CalculationError.prototype.constructor = CalculationError;
+        InvalidFormatError.prototype = new Error();
+        InvalidFormatError.prototype.constructor = InvalidFormatError;
 
         /**
-         * Handler of infinity error.
+         * Handler of changing a setting which is fixed once
+         * the match has started.
          *
          * @memberof models/errors
          * @public
-         * @param {string} [pos] positive
          * @param {string} [msg]
-         * @class InfinityError
+         * @class MatchStartedError
          * @augments Error
          * @constructor
          */
-        function InfinityError(pos, msg) {
-            this.name = 'InfinityError';
-            this.positive = pos;
-            this.message = msg || 'Result equals +/- Infinity';
+        function MatchStartedError(msg) {
+            this.name = 'MatchStartedError';
+            this.message = msg || 'Match has already started';
         }
-        InfinityError.prototype = new Error();
-        InfinityError.prototype.constructor = InfinityError;
+        MatchStartedError.prototype = new Error();
+        MatchStartedError.prototype.constructor = MatchStartedError;
 
         /**
          * Initializes module.
@@ -114,10 +112,10 @@ define({
 
         return {
             init: init,
-            EquationInvalidFormatError: EquationInvalidFormatError,
-            DivisionByZeroError: DivisionByZeroError,
-            CalculationError: CalculationError,
-            InfinityError: InfinityError
+            InvalidSideError: InvalidSideError,
+            MatchFinishedError: MatchFinishedError,
+            InvalidFormatError: InvalidFormatError,
+            MatchStartedError: MatchStartedError
         };
     }
 });
@@ -0,0 +1,243 @@
+/*global define*/
+
+/**
+ * Match format module.
+ * Describes how many sets are played, how long a set is and how
+ * the final set is decided.
+ *
+ * @module models/format
+ * @requires {@link models/errors}
+ * @namespace models/format
+ */
+define({
+    name: 'models/format',
+    requires: [
+        'models/errors'
+    ],
+    def: function initFormat(errors) {
+        'use strict';
+
+        /**
+         * Ways of deciding the final set.
+         *
+         * @memberof models/format
+         * @public
+         * @const {object}
+         */
+        var FINAL_SET = {
+                ADVANTAGE: 'advantage',
+                TIEBREAK: 'tiebreak',
+                MATCH_TIEBREAK: 'matchTiebreak'
+            },
+
+            /**
+             * Ways of deciding a game at 40-40.
+             * With a deciding point the next point wins the game,
+             * RECEIVER_CHOOSES also lets the receiving side choose
+             * who receives it.
+             *
+             * @memberof models/format
+             * @public
+             * @const {object}
+             */
+            DEUCE = {
+                ADVANTAGE: 'advantage',
+                DECIDING_POINT: 'decidingPoint',
+                RECEIVER_CHOOSES: 'receiverChooses'
+            },
+
+            /**
+             * Allowed numbers of sets.
+             *
+             * @memberof models/format
+             * @public
+             * @const {number[]}
+             */
+            SET_COUNTS = [3, 5, 1],
+
+            /**
+             * Allowed numbers of games per set.
+             *
+             * @memberof models/format
+             * @public
+             * @const {number[]}
+             */
+            SET_GAMES = [6, 4],
+
+            /**
+             * Default format: best of 3 sets with tiebreaks.
+             *
+             * @memberof models/format
+             * @private
+             * @const {object}
+             */
+            DEFAULTS = {
+                sets: 3,
+                games: 6,
+                finalSet: FINAL_SET.TIEBREAK,
+                deuce: DEUCE.ADVANTAGE,
+                doubles: false
+            },
+
+            /**
+             * Names of the final set modes.
+             *
+             * @memberof models/format
+             * @private
+             * @const {object}
+             */
+            FINAL_SET_NAMES = {
+                advantage: 'advantage final set',
+                tiebreak: 'tiebreak final set',
+                matchTiebreak: 'match tiebreak'
+            };
+
+        /**
+         * Returns true if games are decided by a single point at 40-40.
+         *
+         * @memberof models/format
+         * @public
+         * @param {object} format
+         * @returns {boolean}
+         */
+        function isNoAd(format) {
+            return format.deuce !== DEUCE.ADVANTAGE;
+        }
+
+        /**
+         * Returns true if the object has the given value.
+         *
+         * @memberof models/format
+         * @private
+         * @param {object} obj
+         * @param {*} value
+         * @returns {boolean}
+         */
+        function hasValue(obj, value) {
+            return Object.keys(obj).some(function isValue(key) {
+                return obj[key] === value;
+            });
+        }
+
+        /**
+         * Checks the final set mode of the format. A single set
+         * cannot be played as a match tiebreak.
+         *
+         * @memberof models/format
+         * @private
+         * @param {object} format
+         * @throws {models/errors.InvalidFormatError}
+         */
+        function checkFinalSet(format) {
+            if (!hasValue(FINAL_SET, format.finalSet)) {
+                throw new errors.InvalidFormatError(
+                    'Unknown final set mode: ' + format.finalSet
+                );
+            }
+            if (format.sets === 1 &&
+                    format.finalSet === FINAL_SET.MATCH_TIEBREAK) {
+                throw new errors.InvalidFormatError(
+                    'A single set cannot be played as a match tiebreak'
+                );
+            }
+        }
+
+        /**
+         * Creates a format from the given options.
+         * Missing options are taken from the default format.
+         *
+         * @memberof models/format
+         * @public
+         * @param {object} [options]
+         * @param {number} [options.sets] Number of sets (1, 3 or 5).
+         * @param {number} [options.games] Games needed to win a set.
+         * @param {string} [options.finalSet] One of FINAL_SET values,
+         *     not MATCH_TIEBREAK when there is a single set.
+         * @param {string} [options.deuce] One of DEUCE values.
+         * @param {boolean} [options.doubles] Two players per side.
+         * @returns {object}
+         * @throws {models/errors.InvalidFormatError}
+         */
+        function create(options) {
+            var format = {};
+
+            options = options || {};
+            Object.keys(DEFAULTS).forEach(function setOption(key) {
+                format[key] = options.hasOwnProperty(key) ?
+                        options[key] : DEFAULTS[key];
+            });
+
+            if (SET_COUNTS.indexOf(format.sets) === -1) {
+                throw new errors.InvalidFormatError(
+                    'Number of sets must be one of ' + SET_COUNTS.join(', ')
+                );
+            }
+            if (SET_GAMES.indexOf(format.games) === -1) {
+                throw new errors.InvalidFormatError(
+                    'Games per set must be one of ' + SET_GAMES.join(', ')
+                );
+            }
+            checkFinalSet(format);
+            if (!hasValue(DEUCE, format.deuce)) {
+                throw new errors.InvalidFormatError(
+                    'Unknown deuce mode: ' + format.deuce
+                );
+            }
+            if (typeof format.doubles !== 'boolean') {
+                throw new errors.InvalidFormatError(
+                    'Doubles must be true or false'
+                );
+            }
+            return format;
+        }
+
+        /**
+         * Returns number of sets needed to win the match.
+         *
+         * @memberof models/format
+         * @public
+         * @param {object} format
+         * @returns {number}
+         */
+        function setsToWin(format) {
+            return Math.ceil(format.sets / 2);
+        }
+
+        /**
+         * Returns short description of the format,
+         * e.g. 'Best of 3, match tiebreak, no-ad'.
+         *
+         * @memberof models/format
+         * @public
+         * @param {object} format
+         * @returns {string}
+         */
+        function describe(format) {
+            var text = format.sets === 1 ?
+                    'Single set' : 'Best of ' + format.sets;
+
+            if (format.games !== DEFAULTS.games) {
+                text += ' (' + format.games + ' games)';
+            }
+            text += ', ' + FINAL_SET_NAMES[format.finalSet];
+            if (isNoAd(format)) {
+                text += ', no-ad';
+            }
+            if (format.doubles) {
+                text += ', doubles';
+            }
+            return text;
+        }
+
+        return {
+            FINAL_SET: FINAL_SET,
+            DEUCE: DEUCE,
+            SET_COUNTS: SET_COUNTS,
+            SET_GAMES: SET_GAMES,
+            create: create,
+            setsToWin: setsToWin,
+            isNoAd: isNoAd,
+            describe: describe
+        };
+    }
+});
@@ -0,0 +1,189 @@
+/*global define*/
+
+/**
+ * Head to head module.
+ * Works out records between teams from the completed matches
+ * of the history: matches, sets, games and tiebreaks won by each team.
+ * A team is one player in singles, two in doubles. Only teams
+ * of roster players have records.
+ *
+ * @module models/headtohead
+ * @requires {@link models/history}
+ * @requires {@link models/roster}
+ * @namespace models/headtohead
+ */
+define({
+    name: 'models/headtohead',
+    requires: [
+        'models/history',
+        'models/roster'
+    ],
+    def: function initHeadToHead(history, roster) {
+        'use strict';
+
+        /**
+         * Returns key of the team, the same in any order of its players.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @param {string[]} team Names of the players.
+         * @returns {string}
+         */
+        function getTeamKey(team) {
+            return team.slice().sort().join('/');
+        }
+
+        /**
+         * Returns the side the team played on in the archived match,
+         * -1 if it did not play.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @param {object} entry Archived match.
+         * @param {string} key Key of the team.
+         * @returns {number}
+         */
+        function getSide(entry, key) {
+            return entry.players.map(getTeamKey).indexOf(key);
+        }
+
+        /**
+         * Returns completed matches of the history.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @returns {object[]}
+         */
+        function getCompleted() {
+            return history.getAll().filter(function isCompleted(entry) {
+                return entry.status === history.STATUS.COMPLETED;
+            });
+        }
+
+        /**
+         * Creates empty record of the teams. Every count is a pair,
+         * the first team's wins first.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @param {string[][]} teams Names of both teams.
+         * @returns {object}
+         */
+        function createRecord(teams) {
+            return {
+                teams: teams,
+                played: 0,
+                matches: [0, 0],
+                sets: [0, 0],
+                games: [0, 0],
+                tiebreaks: [0, 0]
+            };
+        }
+
+        /**
+         * Adds the archived match to the record.
+         * A match tiebreak counts as a tiebreak, not as games.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @param {object} record
+         * @param {object} entry Archived match.
+         * @param {number} side Side of the record's first team.
+         */
+        function tally(record, entry, side) {
+            record.played += 1;
+            record.matches[entry.winner === side ? 0 : 1] += 1;
+            entry.sets.forEach(function addSet(set) {
+                var won = set.winner === side ? 0 : 1;
+
+                record.sets[won] += 1;
+                if (set.tiebreak) {
+                    record.tiebreaks[won] += 1;
+                }
+                if (!set.matchTiebreak) {
+                    record.games[0] += set.games[side];
+                    record.games[1] += set.games[1 - side];
+                }
+            });
+        }
+
+        /**
+         * Returns true if all players of the teams are in the roster.
+         *
+         * @memberof models/headtohead
+         * @private
+         * @param {string[][]} teams Names of both teams.
+         * @returns {boolean}
+         */
+        function isInRoster(teams) {
+            var names = roster.getPlayers();
+
+            return teams.every(function isKnownTeam(team) {
+                return team.every(function isKnown(name) {
+                    return names.indexOf(name) !== -1;
+                });
+            });
+        }
+
+        /**
+         * Returns record of the first team against the second one.
+         * The record is empty unless all players are in the roster.
+         *
+         * @memberof models/headtohead
+         * @public
+         * @param {string[][]} teams Names of both teams.
+         * @returns {object}
+         */
+        function getRecord(teams) {
+            var record = createRecord(teams),
+                keys = teams.map(getTeamKey);
+
+            if (!isInRoster(teams)) {
+                return record;
+            }
+            getCompleted().forEach(function addMatch(entry) {
+                var side = getSide(entry, keys[0]);
+
+                if (side !== -1 && getSide(entry, keys[1]) === 1 - side) {
+                    tally(record, entry, side);
+                }
+            });
+            return record;
+        }
+
+        /**
+         * Returns records of every pairing the player played in,
+         * the player's team first. The most played pairings come first.
+         *
+         * @memberof models/headtohead
+         * @public
+         * @param {string} name
+         * @returns {object[]}
+         */
+        function getRecords(name) {
+            var records = {};
+
+            getCompleted().forEach(function addMatch(entry) {
+                var side = entry.players[0].indexOf(name) !== -1 ? 0 : 1,
+                    teams = [entry.players[side], entry.players[1 - side]],
+                    key = teams.map(getTeamKey).join('|');
+
+                if (entry.players[side].indexOf(name) === -1) {
+                    return;
+                }
+                records[key] = records[key] || createRecord(teams);
+                tally(records[key], entry, side);
+            });
+            return Object.keys(records).map(function getByKey(key) {
+                return records[key];
+            }).sort(function compare(a, b) {
+                return b.played - a.played;
+            });
+        }
+
+        return {
+            getRecord: getRecord,
+            getRecords: getRecords
+        };
+    }
+});
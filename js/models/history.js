@@ -0,0 +1,294 @@
+/*global define*/
+
+/**
+ * History module.
+ * Archives every completed or abandoned match, the newest first.
+ * A completed match is taken out again when its last point is undone.
+ * Archived matches can be deleted.
+ * The archive is stored and mirrored to a backup file, which restores
+ * it after the app is reinstalled.
+ *
+ * @module models/history
+ * @requires {@link core/event}
+ * @requires {@link models/backup}
+ * @requires {@link models/storage}
+ * @namespace models/history
+ */
+define({
+    name: 'models/history',
+    requires: [
+        'core/event',
+        'models/backup',
+        'models/storage'
+    ],
+    def: function initHistory(ev, backup, storage) {
+        'use strict';
+
+        /**
+         * Storage key and backup file name of the archive.
+         *
+         * @memberof models/history
+         * @private
+         * @const {string}
+         */
+        var STORAGE_KEY = 'history',
+
+            /**
+             * Maximum number of archived matches, older ones are dropped.
+             *
+             * @memberof models/history
+             * @private
+             * @const {number}
+             */
+            MAX_ENTRIES = 200,
+
+            /**
+             * Statuses of archived matches.
+             *
+             * @memberof models/history
+             * @public
+             * @const {object}
+             */
+            STATUS = {
+                COMPLETED: 'completed',
+                ABANDONED: 'abandoned'
+            },
+
+            /**
+             * Archived matches, the newest first.
+             *
+             * @memberof models/history
+             * @private
+             * @type {object[]}
+             */
+            entries = [];
+
+        /**
+         * Returns deep copy of the given plain data.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object} data
+         * @returns {object}
+         */
+        function copy(data) {
+            return JSON.parse(JSON.stringify(data));
+        }
+
+        /**
+         * Returns sets of the match state. An abandoned set in progress
+         * is added without a winner.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object} state Match state.
+         * @returns {object[]}
+         */
+        function getSets(state) {
+            var sets = state.sets.slice();
+
+            if (state.winner === null &&
+                    (state.games[0] + state.games[1] > 0 || state.tiebreak)) {
+                sets.push({
+                    games: state.games,
+                    tiebreak: state.tiebreak ? state.points : null,
+                    matchTiebreak: state.matchTiebreak,
+                    winner: null
+                });
+            }
+            return sets;
+        }
+
+        /**
+         * Creates archive entry of the given match state.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object} state Match state.
+         * @param {string} status
+         * @returns {object}
+         */
+        function createEntry(state, status) {
+            var startedAt = state.startedAt || Date.now(),
+                lastPointAt = state.lastPointAt || startedAt;
+
+            return {
+                id: startedAt,
+                status: status,
+                date: startedAt,
+                duration: lastPointAt - startedAt,
+                players: state.players.map(function getNames(team) {
+                    return team.map(function getName(player) {
+                        return player.name;
+                    });
+                }),
+                format: state.format,
+                sets: getSets(state),
+                winner: state.winner,
+                firstServer: state.firstServer
+            };
+        }
+
+        /**
+         * Stores the archive and writes its backup.
+         *
+         * @memberof models/history
+         * @private
+         * @fires "models.history.change"
+         */
+        function save() {
+            storage.set(STORAGE_KEY, entries);
+            backup.write(STORAGE_KEY, entries);
+            ev.fire('change');
+        }
+
+        /**
+         * Adds the given entries to the archive. An entry replaces
+         * the archived one of the same match.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object[]} added
+         */
+        function merge(added) {
+            var ids = added.map(function getId(entry) {
+                return entry.id;
+            });
+
+            entries = added.concat(entries.filter(function isKept(entry) {
+                return ids.indexOf(entry.id) === -1;
+            }));
+            entries.sort(function byDate(a, b) {
+                return b.date - a.date;
+            });
+            entries = entries.slice(0, MAX_ENTRIES);
+        }
+
+        /**
+         * Archives the given match state.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object} state Match state.
+         * @param {string} status
+         */
+        function archive(state, status) {
+            merge([createEntry(state, status)]);
+            save();
+        }
+
+        /**
+         * Removes the match of the given state archived with the given
+         * status, because it is played on.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object} state Match state.
+         * @param {string} status
+         */
+        function unarchive(state, status) {
+            entries = entries.filter(function isKept(entry) {
+                return entry.id !== state.startedAt ||
+                    entry.status !== status;
+            });
+            save();
+        }
+
+        /**
+         * Restores matches of the backup missing in the archive,
+         * e.g. after the app was reinstalled.
+         *
+         * @memberof models/history
+         * @private
+         * @param {object[]|null} saved
+         */
+        function restoreBackup(saved) {
+            var count = entries.length;
+
+            if (!Array.isArray(saved)) {
+                return;
+            }
+            merge(saved.filter(function isMissing(entry) {
+                return !entries.some(function isSame(archived) {
+                    return archived.id === entry.id;
+                });
+            }));
+            if (entries.length !== count) {
+                save();
+            }
+        }
+
+        /**
+         * Returns copies of archived matches, the newest first.
+         *
+         * @memberof models/history
+         * @public
+         * @returns {object[]}
+         */
+        function getAll() {
+            return copy(entries);
+        }
+
+        /**
+         * Returns copy of the archived match of the given id,
+         * null if there is none.
+         *
+         * @memberof models/history
+         * @public
+         * @param {number} id
+         * @returns {object|null}
+         */
+        function get(id) {
+            var found = entries.filter(function isWanted(entry) {
+                return entry.id === id;
+            });
+
+            return found.length ? copy(found[0]) : null;
+        }
+
+        /**
+         * Deletes the archived match of the given id.
+         *
+         * @memberof models/history
+         * @public
+         * @param {number} id
+         */
+        function remove(id) {
+            entries = entries.filter(function isKept(entry) {
+                return entry.id !== id;
+            });
+            save();
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof models/history
+         * @public
+         */
+        function init() {
+            entries = storage.get(STORAGE_KEY) || [];
+            backup.read(STORAGE_KEY, restoreBackup);
+            ev.on('models.match.finish', function onFinish(e) {
+                archive(e.detail, STATUS.COMPLETED);
+            });
+            ev.on('models.match.abandon', function onAbandon(e) {
+                archive(e.detail, STATUS.ABANDONED);
+            });
+            ev.on('models.match.undoReset', function onUndoReset(e) {
+                unarchive(e.detail, STATUS.ABANDONED);
+            });
+            ev.on('models.match.reopen', function onReopen(e) {
+                unarchive(e.detail, STATUS.COMPLETED);
+            });
+        }
+
+        return {
+            init: init,
+            STATUS: STATUS,
+            getAll: getAll,
+            get: get,
+            remove: remove
+        };
+    }
+});
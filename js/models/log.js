@@ -0,0 +1,201 @@
+/*global define*/
+
+/**
+ * Log module.
+ * Records every point, undo, redo and reset with its time and the score
+ * it resulted in, and taps ignored by the scoreboard. Entries are only
+ * appended, the oldest ones are dropped when the log is full.
+ *
+ * @module models/log
+ * @requires {@link core/event}
+ * @requires {@link models/match}
+ * @requires {@link models/storage}
+ * @namespace models/log
+ */
+define({
+    name: 'models/log',
+    requires: [
+        'core/event',
+        'models/match',
+        'models/storage'
+    ],
+    def: function initLog(ev, match, storage) {
+        'use strict';
+
+        /**
+         * Storage key of the log.
+         *
+         * @memberof models/log
+         * @private
+         * @const {string}
+         */
+        var STORAGE_KEY = 'log',
+
+            /**
+             * Maximum number of entries.
+             *
+             * @memberof models/log
+             * @private
+             * @const {number}
+             */
+            MAX_ENTRIES = 2000,
+
+            /**
+             * Types of entries.
+             *
+             * @memberof models/log
+             * @public
+             * @const {object}
+             */
+            TYPE = {
+                POINT: 'point',
+                UNDO: 'undo',
+                REDO: 'redo',
+                RESET: 'reset',
+                UNDO_RESET: 'undoReset',
+                REJECTED: 'rejected'
+            },
+
+            /**
+             * Entries, the oldest first.
+             *
+             * @memberof models/log
+             * @private
+             * @type {object[]}
+             */
+            entries = [];
+
+        /**
+         * Returns score of the match state from the view of side 0,
+         * e.g. '6-4 2-3 30-40' for sets, games and points.
+         *
+         * @memberof models/log
+         * @private
+         * @param {object} state
+         * @returns {string}
+         */
+        function formatScore(state) {
+            var parts = state.sets.map(function formatSet(set) {
+                return set.games.join('-');
+            });
+
+            if (state.status !== match.STATUS.FINISHED) {
+                parts.push(state.games.join('-'));
+                parts.push(match.formatPoints(state).join('-'));
+            }
+            return parts.join(' ');
+        }
+
+        /**
+         * Appends entry of the given type for the current match state.
+         *
+         * @memberof models/log
+         * @private
+         * @param {string} type
+         * @param {number|null} side Side winning the point.
+         * @param {object} [details] Properties added to the entry.
+         */
+        function append(type, side, details) {
+            var state = match.getState(),
+                entry = {
+                    time: Date.now(),
+                    type: type,
+                    side: side,
+                    players: state.players.map(function getNames(team) {
+                        return team.map(function getName(player) {
+                            return player.name;
+                        }).join(' / ');
+                    }),
+                    score: formatScore(state)
+                };
+
+            Object.keys(details || {}).forEach(function addDetail(key) {
+                entry[key] = details[key];
+            });
+            entries.push(entry);
+            if (entries.length > MAX_ENTRIES) {
+                entries.shift();
+            }
+            storage.set(STORAGE_KEY, entries);
+        }
+
+        /**
+         * Records a tap or a command ignored by the scoreboard.
+         *
+         * @memberof models/log
+         * @public
+         * @param {string} input Name of the tapped key, e.g. 'point_left',
+         *     or of the dropped command, e.g. 'point:left'.
+         * @param {string} reason Why it was ignored.
+         * @fires "models.log.reject"
+         */
+        function reject(input, reason) {
+            var details = {
+                input: input,
+                reason: reason
+            };
+
+            append(TYPE.REJECTED, null, details);
+            ev.fire('reject', details);
+        }
+
+        /**
+         * Returns number of entries.
+         *
+         * @memberof models/log
+         * @public
+         * @returns {number}
+         */
+        function count() {
+            return entries.length;
+        }
+
+        /**
+         * Returns copy of the entry at the given index, the oldest
+         * entry has index 0. Returns null if there is no such entry.
+         *
+         * @memberof models/log
+         * @public
+         * @param {number} index
+         * @returns {object|null}
+         */
+        function get(index) {
+            var entry = entries[index];
+
+            return entry ? JSON.parse(JSON.stringify(entry)) : null;
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof models/log
+         * @public
+         */
+        function init() {
+            entries = storage.get(STORAGE_KEY) || [];
+            ev.on('models.match.point', function onPoint(e) {
+                append(TYPE.POINT, e.detail.side);
+            });
+            ev.on('models.match.undo', function onUndo() {
+                append(TYPE.UNDO, null);
+            });
+            ev.on('models.match.redo', function onRedo() {
+                append(TYPE.REDO, null);
+            });
+            ev.on('models.match.reset', function onReset() {
+                append(TYPE.RESET, null);
+            });
+            ev.on('models.match.undoReset', function onUndoReset() {
+                append(TYPE.UNDO_RESET, null);
+            });
+        }
+
+        return {
+            init: init,
+            TYPE: TYPE,
+            reject: reject,
+            count: count,
+            get: get
+        };
+    }
+});
@@ -0,0 +1,712 @@
+/*global define*/
+
+/**
+ * Match model module.
+ * Holds the score of the current match as plain data and applies
+ * the scoring rules. It does not touch the DOM.
+ *
+ * @module models/match
+ * @requires {@link core/event}
+ * @requires {@link models/errors}
+ * @requires {@link models/format}
+ * @requires {@link models/rules}
+ * @requires {@link models/serving}
+ * @requires {@link models/storage}
+ * @namespace models/match
+ */
+define({
+    name: 'models/match',
+    requires: [
+        'core/event',
+        'models/errors',
+        'models/format',
+        'models/rules',
+        'models/serving',
+        'models/storage'
+    ],
+    def: function initMatch(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            errors = req.models.errors,
+            formats = req.models.format,
+            rules = req.models.rules,
+            serving = req.models.serving,
+            storage = req.models.storage,
+
+            /**
+             * Storage key of the saved match.
+             *
+             * @memberof models/match
+             * @private
+             * @const {string}
+             */
+            STORAGE_KEY = 'match',
+
+            /**
+             * Version of the saved match data. Saves of other versions
+             * are not restored.
+             *
+             * @memberof models/match
+             * @private
+             * @const {number}
+             */
+            STORAGE_VERSION = 2,
+
+            /**
+             * Match statuses.
+             *
+             * @memberof models/match
+             * @public
+             * @const {object}
+             */
+            STATUS = {
+                PLAYING: 'playing',
+                FINISHED: 'finished'
+            },
+
+            /**
+             * Current match state.
+             *
+             * @memberof models/match
+             * @private
+             * @type {object}
+             */
+            state = null,
+
+            /**
+             * States preceding each awarded point, the last one first
+             * to be restored by undo.
+             *
+             * @memberof models/match
+             * @private
+             * @type {object[]}
+             */
+            undoStack = [],
+
+            /**
+             * States taken back by undo, to be restored by redo.
+             *
+             * @memberof models/match
+             * @private
+             * @type {object[]}
+             */
+            redoStack = [],
+
+            /**
+             * Match abandoned by the last reset, to be restored
+             * by undoReset until a point of the new match is played.
+             *
+             * @memberof models/match
+             * @private
+             * @type {object}
+             */
+            abandoned = null;
+
+        /**
+         * Creates players of both sides. Players without a name
+         * get the default one.
+         *
+         * @memberof models/match
+         * @private
+         * @param {object} format Match format.
+         * @param {string[][]} [names] Names of both teams.
+         * @returns {object[][]}
+         */
+        function createPlayers(format, names) {
+            var defaults = format.doubles ?
+                    [['A1', 'A2'], ['B1', 'B2']] : [['A'], ['B']];
+
+            return defaults.map(function createTeam(team, side) {
+                return team.map(function createPlayer(name, index) {
+                    var chosen = names && names[side] && names[side][index];
+
+                    return {name: chosen || name};
+                });
+            });
+        }
+
+        /**
+         * Creates state of a new match.
+         *
+         * @memberof models/match
+         * @private
+         * @param {object} format Match format.
+         * @param {string[][]} [names] Names of both teams.
+         * @returns {object}
+         */
+        function createState(format, names) {
+            return {
+                format: format,
+                status: STATUS.PLAYING,
+                winner: null,
+                players: createPlayers(format, names),
+                firstServer: 0,
+                server: 0,
+                nextPlayer: [0, 0],
+                orderLocked: [false, false],
+                stats: serving.createStats(format.doubles ? 2 : 1),
+                pointsWon: [0, 0],
+                points: [0, 0],
+                games: [0, 0],
+                tiebreak: false,
+                matchTiebreak: false,
+                endsSwapped: false,
+                startedAt: null,
+                setStartedAt: null,
+                lastPointAt: null,
+                sets: []
+            };
+        }
+
+        /**
+         * Returns deep copy of the given plain data.
+         *
+         * @memberof models/match
+         * @private
+         * @param {object} data
+         * @returns {object}
+         */
+        function copy(data) {
+            return JSON.parse(JSON.stringify(data));
+        }
+
+        /**
+         * Returns names of the players of both teams.
+         *
+         * @memberof models/match
+         * @private
+         * @returns {string[][]}
+         */
+        function getNames() {
+            return state.players.map(function getTeamNames(team) {
+                return team.map(function getName(player) {
+                    return player.name;
+                });
+            });
+        }
+
+        /**
+         * Returns the points played between the given consecutive states,
+         * each with the side winning it, its time and the players due
+         * to serve before it.
+         *
+         * @memberof models/match
+         * @private
+         * @param {object[]} states
+         * @returns {object[]}
+         */
+        function listPoints(states) {
+            return states.slice(1).map(function getPoint(after, index) {
+                var before = states[index];
+
+                return {
+                    side: after.pointsWon[1] > before.pointsWon[1] ? 1 : 0,
+                    time: after.lastPointAt,
+                    nextPlayer: before.nextPlayer
+                };
+            });
+        }
+
+        /**
+         * Saves the match, so it survives exit of the app.
+         * Only the points played and taken back by undo are saved,
+         * restore plays them again. Every change is saved right away.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean} False if the match could not be saved.
+         * @fires "models.match.saveError"
+         */
+        function save() {
+            var saved = storage.set(STORAGE_KEY, {
+                version: STORAGE_VERSION,
+                format: state.format,
+                names: getNames(),
+                firstServer: state.firstServer,
+                nextPlayer: state.nextPlayer,
+                points: listPoints(undoStack.concat([state])),
+                undone: listPoints([state].concat(redoStack.slice().reverse()))
+            });
+
+            if (!saved) {
+                ev.fire('saveError');
+            }
+            return saved;
+        }
+
+        /**
+         * Returns the opposite side.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} side
+         * @returns {number}
+         */
+        function opponent(side) {
+            return 1 - side;
+        }
+
+        /**
+         * Throws if the given value is not a valid side index.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} side
+         * @throws {models/errors.InvalidSideError}
+         */
+        function checkSide(side) {
+            if (side !== 0 && side !== 1) {
+                throw new errors.InvalidSideError();
+            }
+        }
+
+        /**
+         * Returns true if any point of the match has been played.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         */
+        function hasStarted() {
+            return state.sets.length > 0 ||
+                state.games[0] + state.games[1] > 0 ||
+                state.points[0] + state.points[1] > 0;
+        }
+
+        /**
+         * Chooses the side serving first.
+         *
+         * @memberof models/match
+         * @public
+         * @param {number} side
+         * @throws {models/errors.InvalidSideError}
+         * @throws {models/errors.MatchStartedError}
+         */
+        function setServer(side) {
+            checkSide(side);
+            if (hasStarted()) {
+                throw new errors.MatchStartedError();
+            }
+            state.firstServer = side;
+            state.server = side;
+            save();
+        }
+
+        /**
+         * Chooses the player of the team serving the team's next game.
+         *
+         * @memberof models/match
+         * @public
+         * @param {number} team
+         * @param {number} player Index of the player within the team.
+         * @throws {models/errors.InvalidSideError}
+         * @throws {models/errors.MatchStartedError}
+         */
+        function setServingPlayer(team, player) {
+            checkSide(team);
+            if (!serving.canChooseServingPlayer(state, team)) {
+                throw new errors.MatchStartedError(
+                    'Serving order is already fixed'
+                );
+            }
+            state.nextPlayer[team] = player %
+                state.players[team].length;
+            save();
+        }
+
+        /**
+         * Prepares the next set. The final set is played as a single
+         * match tiebreak if the format says so.
+         *
+         * @memberof models/match
+         * @private
+         */
+        function startSet() {
+            state.games = [0, 0];
+            state.setStartedAt = null;
+            state.tiebreak = false;
+            state.orderLocked = [false, false];
+            state.matchTiebreak = rules.isFinalSet(state) &&
+                state.format.finalSet === formats.FINAL_SET.MATCH_TIEBREAK;
+            if (state.matchTiebreak) {
+                state.tiebreak = true;
+            }
+        }
+
+        /**
+         * Records the current set as won by the given side
+         * and finishes the match if it was the deciding set.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} side
+         * @param {number[]|null} tiebreak Points of the deciding tiebreak.
+         */
+        function winSet(side, tiebreak) {
+            var won = 0;
+
+            state.sets.push({
+                games: state.games,
+                tiebreak: tiebreak,
+                matchTiebreak: state.matchTiebreak,
+                winner: side,
+                startedAt: state.setStartedAt,
+                finishedAt: state.lastPointAt
+            });
+            won = rules.countSets(state)[side];
+            if (won >= formats.setsToWin(state.format)) {
+                state.status = STATUS.FINISHED;
+                state.winner = side;
+            }
+            startSet();
+        }
+
+        /**
+         * Credits the current game to the given side.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} side
+         */
+        function winGame(side) {
+            var tiebreak = state.tiebreak ? state.points : null;
+
+            if (!tiebreak) {
+                serving.recordServiceGame(state, side);
+            }
+            state.games[side] += 1;
+            state.points = [0, 0];
+            state.server = opponent(state.server);
+            if (tiebreak || rules.isSetWon(state, side)) {
+                winSet(side, tiebreak);
+            } else if (state.games[0] === state.format.games &&
+                    state.games[1] === state.format.games) {
+                state.tiebreak = rules.hasSetTiebreak(state);
+            }
+        }
+
+        /**
+         * Records the time of the point being played, which starts
+         * the match and the set if they have not started yet.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} time
+         */
+        function recordTime(time) {
+            state.startedAt = state.startedAt || time;
+            state.setStartedAt = state.setStartedAt || time;
+            state.lastPointAt = time;
+        }
+
+        /**
+         * Plays the point won by the given side at the given time
+         * and returns what it decided.
+         *
+         * @memberof models/match
+         * @private
+         * @param {number} side
+         * @param {number} time
+         * @returns {object} Side of the point, whether it won a game,
+         * a set and the match and whether players change ends after it.
+         */
+        function playPoint(side, time) {
+            var setCount = state.sets.length,
+                gameWon = false,
+                changeEnds = false;
+
+            recordTime(time);
+            serving.recordPoint(state, side);
+            state.points[side] += 1;
+            gameWon = rules.isGameWon(state, side);
+            if (gameWon) {
+                winGame(side);
+            }
+            changeEnds = state.status !== STATUS.FINISHED &&
+                rules.isChangeOfEnds(state, gameWon, setCount);
+            if (changeEnds) {
+                state.endsSwapped = !state.endsSwapped;
+            }
+            return {
+                side: side,
+                game: gameWon,
+                set: state.sets.length > setCount,
+                match: state.status === STATUS.FINISHED,
+                changeEnds: changeEnds
+            };
+        }
+
+        /**
+         * Awards a point to the given side.
+         *
+         * @memberof models/match
+         * @public
+         * @param {number} side Index of the side winning the point (0 or 1).
+         * @throws {models/errors.InvalidSideError}
+         * @throws {models/errors.MatchFinishedError}
+         * @fires "models.match.changeEnds"
+         * @fires "models.match.finish"
+         * @fires "models.match.point"
+         */
+        function awardPoint(side) {
+            var point = null;
+
+            checkSide(side);
+            if (state.status === STATUS.FINISHED) {
+                throw new errors.MatchFinishedError();
+            }
+            undoStack.push(copy(state));
+            redoStack = [];
+            abandoned = null;
+            point = playPoint(side, Date.now());
+            if (point.changeEnds) {
+                ev.fire('changeEnds', {
+                    endsSwapped: state.endsSwapped
+                });
+            }
+            if (point.match) {
+                ev.fire('finish', copy(state));
+            }
+            save();
+            ev.fire('point', point);
+        }
+
+        /**
+         * Restores the state before the last awarded point.
+         * Returns false if there is nothing to undo.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         * @fires "models.match.reopen"
+         * @fires "models.match.undo"
+         */
+        function undo() {
+            var undone = state;
+
+            if (undoStack.length === 0) {
+                return false;
+            }
+            redoStack.push(state);
+            state = undoStack.pop();
+            if (undone.status === STATUS.FINISHED) {
+                ev.fire('reopen', copy(undone));
+            }
+            save();
+            ev.fire('undo');
+            return true;
+        }
+
+        /**
+         * Awards again the last point taken back by undo.
+         * Returns false if there is nothing to redo.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         * @fires "models.match.finish"
+         * @fires "models.match.redo"
+         */
+        function redo() {
+            if (redoStack.length === 0) {
+                return false;
+            }
+            undoStack.push(state);
+            state = redoStack.pop();
+            if (state.status === STATUS.FINISHED) {
+                ev.fire('finish', copy(state));
+            }
+            save();
+            ev.fire('redo');
+            return true;
+        }
+
+        /**
+         * Returns true if there is a point to undo.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         */
+        function canUndo() {
+            return undoStack.length > 0;
+        }
+
+        /**
+         * Returns true if there is a point to redo.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         */
+        function canRedo() {
+            return redoStack.length > 0;
+        }
+
+        /**
+         * Returns a copy of the current match state.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {object}
+         */
+        function getState() {
+            return copy(state);
+        }
+
+        /**
+         * Returns a copy of the state before the last point,
+         * null if no point can be undone.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {object|null}
+         */
+        function getPreviousState() {
+            return undoStack.length ?
+                    copy(undoStack[undoStack.length - 1]) : null;
+        }
+
+        /**
+         * Returns a copy of the current match format.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {object}
+         */
+        function getFormat() {
+            return copy(state.format);
+        }
+
+        /**
+         * Starts a new match.
+         * Without arguments the new match keeps the current format
+         * and players, without a format it keeps the format.
+         * An unfinished match which has started is abandoned,
+         * undoReset brings it back.
+         *
+         * @memberof models/match
+         * @public
+         * @param {object} [format] Format options, see models/format.create.
+         * @param {string[][]} [names] Names of both teams.
+         * @throws {models/errors.InvalidFormatError}
+         * @fires "models.match.abandon"
+         * @fires "models.match.reset"
+         */
+        function reset(format, names) {
+            var next = format ? formats.create(format) : state.format;
+
+            if (!format && !names) {
+                names = getNames();
+            }
+
+            abandoned = null;
+            if (state && hasStarted() && state.status !== STATUS.FINISHED) {
+                abandoned = {
+                    state: state,
+                    undoStack: undoStack,
+                    redoStack: redoStack
+                };
+                ev.fire('abandon', copy(state));
+            }
+            state = createState(next, names);
+            undoStack = [];
+            redoStack = [];
+            startSet();
+            save();
+            ev.fire('reset');
+        }
+
+        /**
+         * Brings back the match abandoned by the last reset.
+         * Returns false if there is no such match.
+         *
+         * @memberof models/match
+         * @public
+         * @returns {boolean}
+         * @fires "models.match.undoReset"
+         */
+        function undoReset() {
+            if (!abandoned) {
+                return false;
+            }
+            state = abandoned.state;
+            undoStack = abandoned.undoStack;
+            redoStack = abandoned.redoStack;
+            abandoned = null;
+            save();
+            ev.fire('undoReset', copy(state));
+            return true;
+        }
+
+        /**
+         * Restores the saved match by playing its points again,
+         * the points taken back by undo are taken back again.
+         * Returns false if there is no saved match of the current version.
+         *
+         * @memberof models/match
+         * @private
+         * @returns {boolean}
+         */
+        function restore() {
+            var saved = storage.get(STORAGE_KEY);
+
+            if (!saved || saved.version !== STORAGE_VERSION) {
+                return false;
+            }
+            state = createState(saved.format, saved.names);
+            state.firstServer = saved.firstServer;
+            state.server = saved.firstServer;
+            undoStack = [];
+            redoStack = [];
+            startSet();
+            saved.points.concat(saved.undone).forEach(function replay(point) {
+                state.nextPlayer = point.nextPlayer;
+                undoStack.push(copy(state));
+                playPoint(point.side, point.time);
+            });
+            saved.undone.forEach(function takeBack() {
+                redoStack.push(state);
+                state = undoStack.pop();
+            });
+            state.nextPlayer = saved.nextPlayer;
+            return true;
+        }
+
+        /**
+         * Initializes module.
+         * Restores the match saved before the app was closed.
+         *
+         * @memberof models/match
+         * @public
+         */
+        function init() {
+            if (!restore()) {
+                reset(formats.create());
+            }
+        }
+
+        return {
+            init: init,
+            STATUS: STATUS,
+            awardPoint: awardPoint,
+            undo: undo,
+            redo: redo,
+            canUndo: canUndo,
+            canRedo: canRedo,
+            hasStarted: hasStarted,
+            setServer: setServer,
+            setServingPlayer: setServingPlayer,
+            getState: getState,
+            getPreviousState: getPreviousState,
+            getFormat: getFormat,
+            countSets: rules.countSets,
+            isDecidingPoint: rules.isDecidingPoint,
+            formatPoints: rules.formatPoints,
+            reset: reset,
+            undoReset: undoReset,
+            save: save
+        };
+    }
+});
@@ -0,0 +1,272 @@
+/*global define*/
+
+/**
+ * Rating module.
+ * Works out Elo ratings of the roster players from the completed
+ * matches of the history, the oldest first. Only matches between
+ * roster players count. In doubles a team is rated as the average
+ * of its players and each of them gets the team's change.
+ * Ratings are worked out again whenever the history or the roster
+ * changes.
+ *
+ * @module models/rating
+ * @requires {@link core/event}
+ * @requires {@link models/history}
+ * @requires {@link models/roster}
+ * @namespace models/rating
+ */
+define({
+    name: 'models/rating',
+    requires: [
+        'core/event',
+        'models/history',
+        'models/roster'
+    ],
+    def: function initRating(ev, history, roster) {
+        'use strict';
+
+        /**
+         * Rating of a player without matches.
+         *
+         * @memberof models/rating
+         * @private
+         * @const {number}
+         */
+        var INITIAL = 1500,
+
+            /**
+             * Largest change of a rating after a match.
+             *
+             * @memberof models/rating
+             * @private
+             * @const {number}
+             */
+            K = 32,
+
+            /**
+             * Rating difference making the stronger team ten times
+             * as likely to win.
+             *
+             * @memberof models/rating
+             * @private
+             * @const {number}
+             */
+            SCALE = 400,
+
+            /**
+             * Players by name, each with its rating, number of rated
+             * matches and change after the last one.
+             *
+             * @memberof models/rating
+             * @private
+             * @type {object}
+             */
+            players = {},
+
+            /**
+             * Changes by id of the archived match, for each team
+             * its players with their ratings after the match.
+             *
+             * @memberof models/rating
+             * @private
+             * @type {object}
+             */
+            changes = {};
+
+        /**
+         * Creates player of the given name with the initial rating.
+         *
+         * @memberof models/rating
+         * @private
+         * @param {string} name
+         * @returns {object}
+         */
+        function createPlayer(name) {
+            return {
+                name: name,
+                rating: INITIAL,
+                played: 0,
+                change: 0
+            };
+        }
+
+        /**
+         * Returns player of the given name, created if it has
+         * no matches yet.
+         *
+         * @memberof models/rating
+         * @private
+         * @param {string} name
+         * @returns {object}
+         */
+        function getPlayer(name) {
+            players[name] = players[name] || createPlayer(name);
+            return players[name];
+        }
+
+        /**
+         * Returns average rating of the team.
+         *
+         * @memberof models/rating
+         * @private
+         * @param {string[]} team Names of the players.
+         * @returns {number}
+         */
+        function getTeamRating(team) {
+            return team.reduce(function add(sum, name) {
+                return sum + getPlayer(name).rating;
+            }, 0) / team.length;
+        }
+
+        /**
+         * Returns whether all players of the archived match
+         * are in the roster.
+         *
+         * @memberof models/rating
+         * @private
+         * @param {object} entry Archived match.
+         * @param {string[]} names Names of the roster players.
+         * @returns {boolean}
+         */
+        function isRated(entry, names) {
+            return entry.status === history.STATUS.COMPLETED &&
+                entry.players.every(function isKnownTeam(team) {
+                    return team.every(function isKnown(name) {
+                        return names.indexOf(name) !== -1;
+                    });
+                });
+        }
+
+        /**
+         * Rates the archived match and records the changes.
+         *
+         * @memberof models/rating
+         * @private
+         * @param {object} entry Archived match.
+         */
+        function rate(entry) {
+            var ratings = entry.players.map(getTeamRating),
+                expected = 1 / (1 + Math.pow(10,
+                    (ratings[1] - ratings[0]) / SCALE)),
+                change = Math.round(
+                    K * ((entry.winner === 0 ? 1 : 0) - expected)
+                ),
+                teamChanges = [change, -change];
+
+            changes[entry.id] = entry.players.map(function rateTeam(team, i) {
+                var teamChange = teamChanges[i];
+
+                return team.map(function ratePlayer(name) {
+                    var player = getPlayer(name);
+
+                    player.rating += teamChange;
+                    player.played += 1;
+                    player.change = teamChange;
+                    return {
+                        name: name,
+                        rating: player.rating,
+                        change: teamChange
+                    };
+                });
+            });
+        }
+
+        /**
+         * Works out all ratings again from the history.
+         *
+         * @memberof models/rating
+         * @public
+         * @fires "models.rating.change"
+         */
+        function recompute() {
+            var names = roster.getPlayers();
+
+            players = {};
+            changes = {};
+            history.getAll().filter(function isWanted(entry) {
+                return isRated(entry, names);
+            }).reverse().forEach(rate);
+            ev.fire('change');
+        }
+
+        /**
+         * Returns rating of the player.
+         *
+         * @memberof models/rating
+         * @public
+         * @param {string} name
+         * @returns {number}
+         */
+        function getRating(name) {
+            return players[name] ? players[name].rating : INITIAL;
+        }
+
+        /**
+         * Returns the roster players ordered by rating, each with
+         * its rating, number of rated matches and change after
+         * the last one.
+         *
+         * @memberof models/rating
+         * @public
+         * @returns {object[]}
+         */
+        function getLadder() {
+            return roster.getPlayers().map(function getEntry(name) {
+                return JSON.parse(JSON.stringify(
+                    players[name] || createPlayer(name)
+                ));
+            }).sort(function compare(a, b) {
+                return b.rating - a.rating || b.played - a.played;
+            });
+        }
+
+        /**
+         * Returns changes after the archived match of the given id,
+         * for each team its players with their ratings after the match
+         * and the change. Returns null if the match is not rated.
+         *
+         * @memberof models/rating
+         * @public
+         * @param {number} id
+         * @returns {object[][]|null}
+         */
+        function getChanges(id) {
+            return changes[id] ?
+                    JSON.parse(JSON.stringify(changes[id])) : null;
+        }
+
+        /**
+         * Returns the change with its sign, e.g. '+16' or '-16'.
+         *
+         * @memberof models/rating
+         * @public
+         * @param {number} change
+         * @returns {string}
+         */
+        function formatChange(change) {
+            return (change > 0 ? '+' : change < 0 ? '-' : '±') +
+                Math.abs(change);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof models/rating
+         * @public
+         */
+        function init() {
+            recompute();
+            ev.on('models.history.change', recompute);
+            ev.on('models.roster.change', recompute);
+        }
+
+        return {
+            init: init,
+            recompute: recompute,
+            getRating: getRating,
+            getLadder: getLadder,
+            getChanges: getChanges,
+            formatChange: formatChange
+        };
+    }
+});
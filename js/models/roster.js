@@ -0,0 +1,285 @@
+/*global define*/
+
+/**
+ * Roster module.
+ * Keeps players saved on the watch and the pairings they played in,
+ * the most recently used first. Also shortens names to fit the round
+ * display.
+ *
+ * @module models/roster
+ * @requires {@link core/event}
+ * @requires {@link models/storage}
+ * @namespace models/roster
+ */
+define({
+    name: 'models/roster',
+    requires: [
+        'core/event',
+        'models/storage'
+    ],
+    def: function initRoster(ev, storage) {
+        'use strict';
+
+        /**
+         * Storage key of the roster.
+         *
+         * @memberof models/roster
+         * @private
+         * @const {string}
+         */
+        var STORAGE_KEY = 'roster',
+
+            /**
+             * Maximum number of remembered pairings.
+             *
+             * @memberof models/roster
+             * @private
+             * @const {number}
+             */
+            MAX_PAIRINGS = 10,
+
+            /**
+             * Longest name shown in full on the scoreboard.
+             *
+             * @memberof models/roster
+             * @private
+             * @const {number}
+             */
+            MAX_NAME_LENGTH = 8,
+
+            /**
+             * Players, each with the time it was last used,
+             * and pairings, each with names of both teams.
+             *
+             * @memberof models/roster
+             * @private
+             * @type {object}
+             */
+            data = {
+                players: [],
+                pairings: []
+            };
+
+        /**
+         * Returns the name without surrounding and repeated spaces.
+         *
+         * @memberof models/roster
+         * @private
+         * @param {string} name
+         * @returns {string}
+         */
+        function normalize(name) {
+            return String(name || '').replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * Returns the player of the given name, ignoring case,
+         * null if there is no such player.
+         *
+         * @memberof models/roster
+         * @private
+         * @param {string} name
+         * @returns {object|null}
+         */
+        function find(name) {
+            var key = normalize(name).toLowerCase();
+
+            return data.players.filter(function hasName(player) {
+                return player.name.toLowerCase() === key;
+            })[0] || null;
+        }
+
+        /**
+         * Saves the roster.
+         *
+         * @memberof models/roster
+         * @private
+         * @fires "models.roster.change"
+         */
+        function save() {
+            storage.set(STORAGE_KEY, data);
+            ev.fire('change');
+        }
+
+        /**
+         * Adds the player and returns its name as saved. A player
+         * of the same name is not added again. Returns null
+         * if the name is empty.
+         *
+         * @memberof models/roster
+         * @public
+         * @param {string} name
+         * @returns {string|null}
+         */
+        function add(name) {
+            var player = find(name);
+
+            name = normalize(name);
+            if (!name) {
+                return null;
+            }
+            if (!player) {
+                player = {
+                    name: name,
+                    usedAt: 0
+                };
+                data.players.push(player);
+                save();
+            }
+            return player.name;
+        }
+
+        /**
+         * Removes the player and the pairings it played in.
+         *
+         * @memberof models/roster
+         * @public
+         * @param {string} name
+         */
+        function remove(name) {
+            var player = find(name);
+
+            if (!player) {
+                return;
+            }
+            data.players.splice(data.players.indexOf(player), 1);
+            data.pairings = data.pairings.filter(function isKept(pairing) {
+                return pairing.names.every(function hasNot(team) {
+                    return team.indexOf(player.name) === -1;
+                });
+            });
+            save();
+        }
+
+        /**
+         * Returns names of the players, the most recently used first,
+         * the others by name.
+         *
+         * @memberof models/roster
+         * @public
+         * @returns {string[]}
+         */
+        function getPlayers() {
+            return data.players.slice().sort(function compare(a, b) {
+                return b.usedAt - a.usedAt || a.name.localeCompare(b.name);
+            }).map(function getName(player) {
+                return player.name;
+            });
+        }
+
+        /**
+         * Returns names of both teams of the pairings with teams
+         * of the given size, the most recently used first.
+         *
+         * @memberof models/roster
+         * @public
+         * @param {number} teamSize 1 for singles, 2 for doubles.
+         * @returns {string[][][]}
+         */
+        function getPairings(teamSize) {
+            return data.pairings.filter(function hasSize(pairing) {
+                return pairing.names[0].length === teamSize;
+            }).map(function getNames(pairing) {
+                return JSON.parse(JSON.stringify(pairing.names));
+            });
+        }
+
+        /**
+         * Returns key of the pairing, the same whichever side
+         * the teams play on.
+         *
+         * @memberof models/roster
+         * @private
+         * @param {string[][]} names Names of both teams.
+         * @returns {string}
+         */
+        function getPairingKey(names) {
+            return names.map(function getTeamKey(team) {
+                return team.join('/').toLowerCase();
+            }).sort().join('|');
+        }
+
+        /**
+         * Records the players of a match starting. Names which are not
+         * in the roster are skipped, the pairing is remembered only
+         * if all its players are in the roster.
+         *
+         * @memberof models/roster
+         * @public
+         * @param {string[][]} names Names of both teams.
+         */
+        function use(names) {
+            var now = Date.now(),
+                known = true,
+                key = getPairingKey(names);
+
+            names.forEach(function useTeam(team) {
+                team.forEach(function usePlayer(name) {
+                    var player = find(name);
+
+                    if (player) {
+                        player.usedAt = now;
+                    } else {
+                        known = false;
+                    }
+                });
+            });
+            if (known) {
+                data.pairings = data.pairings.filter(function isOther(pairing) {
+                    return getPairingKey(pairing.names) !== key;
+                });
+                data.pairings.unshift({
+                    names: JSON.parse(JSON.stringify(names)),
+                    usedAt: now
+                });
+                data.pairings = data.pairings.slice(0, MAX_PAIRINGS);
+            }
+            save();
+        }
+
+        /**
+         * Returns the name shortened to fit the scoreboard, e.g.
+         * 'R. Nadal' for 'Rafael Nadal'. A name too long anyway
+         * is cut off.
+         *
+         * @memberof models/roster
+         * @public
+         * @param {string} name
+         * @returns {string}
+         */
+        function shorten(name) {
+            var words = name.split(' '),
+                last = words[words.length - 1],
+                fitting = [
+                    name,
+                    words[0].charAt(0) + '. ' + last,
+                    last
+                ].filter(function fits(text) {
+                    return text.length <= MAX_NAME_LENGTH;
+                });
+
+            return fitting[0] ||
+                last.slice(0, MAX_NAME_LENGTH - 1) + '…';
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof models/roster
+         * @public
+         */
+        function init() {
+            data = storage.get(STORAGE_KEY) || data;
+        }
+
+        return {
+            init: init,
+            add: add,
+            remove: remove,
+            getPlayers: getPlayers,
+            getPairings: getPairings,
+            use: use,
+            shorten: shorten
+        };
+    }
+});
@@ -0,0 +1,252 @@
+/*global define*/
+
+/**
+ * Rules module.
+ * Applies the scoring rules of tennis to a match state.
+ * Functions only read the state, changes are left to models/match.
+ *
+ * @module models/rules
+ * @requires {@link models/format}
+ * @namespace models/rules
+ */
+define({
+    name: 'models/rules',
+    requires: [
+        'models/format'
+    ],
+    def: function initRules(formats) {
+        'use strict';
+
+        /**
+         * Point names used in a regular game.
+         *
+         * @memberof models/rules
+         * @private
+         * @const {string[]}
+         */
+        var POINT_NAMES = ['0', '15', '30', '40'],
+
+            /**
+             * Advantage label.
+             *
+             * @memberof models/rules
+             * @private
+             * @const {string}
+             */
+            ADVANTAGE = 'AD',
+
+            /**
+             * Points needed to win a regular game.
+             *
+             * @memberof models/rules
+             * @private
+             * @const {number}
+             */
+            GAME_POINTS = 4,
+
+            /**
+             * Points needed to win a tiebreak.
+             *
+             * @memberof models/rules
+             * @private
+             * @const {number}
+             */
+            TIEBREAK_POINTS = 7,
+
+            /**
+             * Points needed to win a match tiebreak.
+             *
+             * @memberof models/rules
+             * @private
+             * @const {number}
+             */
+            MATCH_TIEBREAK_POINTS = 10,
+
+            /**
+             * Number of tiebreak points after which players change ends.
+             *
+             * @memberof models/rules
+             * @private
+             * @const {number}
+             */
+            TIEBREAK_CHANGE_POINTS = 6;
+
+        /**
+         * Returns the opposite side.
+         *
+         * @memberof models/rules
+         * @private
+         * @param {number} side
+         * @returns {number}
+         */
+        function opponent(side) {
+            return 1 - side;
+        }
+
+        /**
+         * Returns true if the side has won the current game.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @param {number} side
+         * @returns {boolean}
+         */
+        function isGameWon(state, side) {
+            var points = state.points,
+                target = GAME_POINTS;
+
+            if (state.matchTiebreak) {
+                target = MATCH_TIEBREAK_POINTS;
+            } else if (state.tiebreak) {
+                target = TIEBREAK_POINTS;
+            } else if (formats.isNoAd(state.format)) {
+                return points[side] >= GAME_POINTS;
+            }
+
+            return points[side] >= target &&
+                points[side] - points[opponent(side)] >= 2;
+        }
+
+        /**
+         * Returns true if the side has won the current set.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @param {number} side
+         * @returns {boolean}
+         */
+        function isSetWon(state, side) {
+            var games = state.games;
+
+            return games[side] >= state.format.games &&
+                games[side] - games[opponent(side)] >= 2;
+        }
+
+        /**
+         * Returns number of sets won by each side.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @returns {number[]}
+         */
+        function countSets(state) {
+            var won = [0, 0];
+
+            state.sets.forEach(function countSet(set) {
+                won[set.winner] += 1;
+            });
+            return won;
+        }
+
+        /**
+         * Returns true if the current set is the last one to be played.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @returns {boolean}
+         */
+        function isFinalSet(state) {
+            return state.sets.length === state.format.sets - 1;
+        }
+
+        /**
+         * Returns true if the current set is decided by a tiebreak
+         * when both sides reach the set length.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @returns {boolean}
+         */
+        function hasSetTiebreak(state) {
+            return !isFinalSet(state) ||
+                state.format.finalSet !== formats.FINAL_SET.ADVANTAGE;
+        }
+
+        /**
+         * Returns true if players change ends after the point just played.
+         * Ends are changed after every odd game of a set, after a set with
+         * odd number of games and after every 6 points of a tiebreak.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state State after the point.
+         * @param {boolean} gameWon True if the point finished a game.
+         * @param {number} setCount Number of sets completed before the point.
+         * @returns {boolean}
+         */
+        function isChangeOfEnds(state, gameWon, setCount) {
+            var games = state.games;
+
+            if (!gameWon) {
+                return state.tiebreak &&
+                    (state.points[0] + state.points[1]) %
+                    TIEBREAK_CHANGE_POINTS === 0;
+            }
+            if (state.sets.length > setCount) {
+                games = state.sets[state.sets.length - 1].games;
+            }
+            return (games[0] + games[1]) % 2 === 1;
+        }
+
+        /**
+         * Returns true if the next point of the given state decides
+         * a no-ad game at 40-40.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @returns {boolean}
+         */
+        function isDecidingPoint(state) {
+            var points = state.points;
+
+            return !state.tiebreak &&
+                formats.isNoAd(state.format) &&
+                points[0] === GAME_POINTS - 1 &&
+                points[1] === GAME_POINTS - 1;
+        }
+
+        /**
+         * Returns point labels of both sides for the given state,
+         * e.g. ['40', 'AD']. Tiebreak points are plain counts.
+         *
+         * @memberof models/rules
+         * @public
+         * @param {object} state
+         * @returns {string[]}
+         */
+        function formatPoints(state) {
+            var points = state.points,
+                lead = points[0] - points[1];
+
+            if (state.tiebreak) {
+                return [String(points[0]), String(points[1])];
+            }
+            if (points[0] >= 3 && points[1] >= 3) {
+                if (lead === 0) {
+                    return [POINT_NAMES[3], POINT_NAMES[3]];
+                }
+                return lead > 0 ?
+                        [ADVANTAGE, POINT_NAMES[3]] :
+                        [POINT_NAMES[3], ADVANTAGE];
+            }
+            return [POINT_NAMES[points[0]], POINT_NAMES[points[1]]];
+        }
+
+        return {
+            isGameWon: isGameWon,
+            isSetWon: isSetWon,
+            countSets: countSets,
+            isFinalSet: isFinalSet,
+            hasSetTiebreak: hasSetTiebreak,
+            isChangeOfEnds: isChangeOfEnds,
+            isDecidingPoint: isDecidingPoint,
+            formatPoints: formatPoints
+        };
+    }
+});
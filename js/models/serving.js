@@ -0,0 +1,202 @@
+/*global define*/
+
+/**
+ * Serving module.
+ * Works out who serves the next point of a match state and keeps
+ * serving statistics of the players.
+ *
+ * @module models/serving
+ * @namespace models/serving
+ */
+define({
+    name: 'models/serving',
+    def: function initServing() {
+        'use strict';
+
+        /**
+         * Creates empty serving statistics of a player.
+         *
+         * @memberof models/serving
+         * @private
+         * @returns {object}
+         */
+        function createPlayerStats() {
+            return {
+                servicePoints: 0,
+                servicePointsWon: 0,
+                serviceGames: 0,
+                serviceGamesWon: 0
+            };
+        }
+
+        /**
+         * Creates empty serving statistics of both teams.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {number} teamSize Number of players in a team.
+         * @returns {object[][]}
+         */
+        function createStats(teamSize) {
+            return [0, 1].map(function createTeamStats() {
+                var stats = [],
+                    i = 0;
+
+                for (i = 0; i < teamSize; i += 1) {
+                    stats.push(createPlayerStats());
+                }
+                return stats;
+            });
+        }
+
+        /**
+         * Returns the side serving the next point of the given state.
+         * In a tiebreak the side due to serve the game serves the first
+         * point, then the sides serve two points each.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state.
+         * @returns {number}
+         */
+        function getServer(state) {
+            var played = state.points[0] + state.points[1];
+
+            if (state.tiebreak && Math.floor((played + 1) / 2) % 2) {
+                return 1 - state.server;
+            }
+            return state.server;
+        }
+
+        /**
+         * Returns the player serving the next point of the given state.
+         * Players of a doubles team take turns in serving games,
+         * in a tiebreak each turn of the team is a turn of its player.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state.
+         * @returns {{team: number, player: number}}
+         */
+        function getServingPlayer(state) {
+            var team = getServer(state),
+                played = state.points[0] + state.points[1],
+                turn = 0;
+
+            if (state.tiebreak) {
+                turn = Math.floor(Math.floor((played + 1) / 2) / 2);
+            }
+            return {
+                team: team,
+                player: (state.nextPlayer[team] + turn) %
+                    state.players[team].length
+            };
+        }
+
+        /**
+         * Returns true if the team may still choose which of its players
+         * serves its games. The order is fixed by the first point
+         * the team serves in a set.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state.
+         * @param {number} team
+         * @returns {boolean}
+         */
+        function canChooseServingPlayer(state, team) {
+            return state.players[team].length > 1 &&
+                !state.orderLocked[team];
+        }
+
+        /**
+         * Records the next point in the given state's serving statistics.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state, before the point is scored.
+         * @param {number} side Side winning the point.
+         */
+        function recordPoint(state, side) {
+            var serving = getServingPlayer(state),
+                stats = state.stats[serving.team][serving.player];
+
+            state.orderLocked[serving.team] = true;
+            state.pointsWon[side] += 1;
+            stats.servicePoints += 1;
+            if (side === serving.team) {
+                stats.servicePointsWon += 1;
+            }
+        }
+
+        /**
+         * Records the finished regular game in the given state's serving
+         * statistics and passes the team's next serve to its other player.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state.
+         * @param {number} side Side winning the game.
+         */
+        function recordServiceGame(state, side) {
+            var team = state.server,
+                player = state.nextPlayer[team],
+                stats = state.stats[team][player];
+
+            stats.serviceGames += 1;
+            if (side === team) {
+                stats.serviceGamesWon += 1;
+            }
+            state.nextPlayer[team] = (player + 1) %
+                state.players[team].length;
+        }
+
+        /**
+         * Returns statistics of both teams for the given state.
+         * Every team has serving statistics of its players and totals.
+         *
+         * @memberof models/serving
+         * @public
+         * @param {object} state Match state.
+         * @returns {object[]}
+         */
+        function getStats(state) {
+            return [0, 1].map(function getTeamStats(team) {
+                var totals = createPlayerStats();
+
+                totals.players = state.players[team].map(
+                    function getPlayerStats(player, index) {
+                        var stats = state.stats[team][index],
+                            result = {
+                                name: player.name
+                            };
+
+                        Object.keys(stats).forEach(function addUp(key) {
+                            result[key] = stats[key];
+                            totals[key] += stats[key];
+                        });
+                        return result;
+                    }
+                );
+                totals.pointsWon = state.pointsWon[team];
+                totals.gamesWon = state.sets.reduce(
+                    function addGames(sum, set) {
+                        return set.matchTiebreak ? sum : sum + set.games[team];
+                    },
+                    state.games[team]
+                );
+                return totals;
+            });
+        }
+
+        return {
+            createStats: createStats,
+            getServer: getServer,
+            getServingPlayer: getServingPlayer,
+            canChooseServingPlayer: canChooseServingPlayer,
+            recordPoint: recordPoint,
+            recordServiceGame: recordServiceGame,
+            getStats: getStats
+        };
+    }
+});
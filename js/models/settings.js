@@ -0,0 +1,126 @@
+/*global define*/
+
+/**
+ * Settings module.
+ * Keeps user preferences which are not part of a match.
+ * Preferences are stored, so they survive exit of the app.
+ *
+ * @module models/settings
+ * @requires {@link core/event}
+ * @requires {@link models/storage}
+ * @namespace models/settings
+ */
+define({
+    name: 'models/settings',
+    requires: [
+        'core/event',
+        'models/storage'
+    ],
+    def: function initSettings(ev, storage) {
+        'use strict';
+
+        /**
+         * Storage key of the settings.
+         *
+         * @memberof models/settings
+         * @private
+         * @const {string}
+         */
+        var STORAGE_KEY = 'settings',
+
+            /**
+             * Default values of the settings.
+             *
+             * @memberof models/settings
+             * @private
+             * @const {object}
+             */
+            DEFAULTS = {
+                // mirror the scoreboard on every change of ends
+                autoSwap: false,
+                // action of the back key on the scoreboard:
+                // 'confirm' exit, 'undo' the last point or 'exit'
+                backKey: 'confirm',
+                // scoring with the bezel: 'off', confirmed by 'tap'
+                // or awarded after a 'timeout'
+                bezel: 'off',
+                // points are awarded only after a short 'hold'
+                // or a 'double' tap, 'off' for a single tap
+                tapGuard: 'off',
+                // language of the spoken umpire calls, 'en' or 'ko',
+                // 'off' for silence
+                voice: 'off',
+                // count down 25 seconds to the next serve after every point
+                serveClock: false,
+                // vibration on match events and rejected input
+                haptics: true,
+                // names of vibration presets by event overriding
+                // the default ones, see views/haptics
+                vibrationPatterns: {},
+                // commands of inputs by source overriding the default
+                // mappings, see views/input
+                inputMappings: {}
+            },
+
+            /**
+             * Current values of the settings.
+             *
+             * @memberof models/settings
+             * @private
+             * @type {object}
+             */
+            values = {};
+
+        /**
+         * Returns value of the given setting.
+         *
+         * @memberof models/settings
+         * @public
+         * @param {string} key
+         * @returns {*}
+         */
+        function get(key) {
+            return values[key];
+        }
+
+        /**
+         * Changes value of the given setting.
+         *
+         * @memberof models/settings
+         * @public
+         * @param {string} key
+         * @param {*} value
+         * @fires "models.settings.change"
+         */
+        function set(key, value) {
+            values[key] = value;
+            storage.set(STORAGE_KEY, values);
+            ev.fire('change', {
+                key: key,
+                value: value
+            });
+        }
+
+        /**
+         * Initializes module.
+         * Restores stored settings, the others get default values.
+         *
+         * @memberof models/settings
+         * @public
+         */
+        function init() {
+            var stored = storage.get(STORAGE_KEY) || {};
+
+            Object.keys(DEFAULTS).forEach(function setDefault(key) {
+                values[key] = stored.hasOwnProperty(key) ?
+                        stored[key] : DEFAULTS[key];
+            });
+        }
+
+        return {
+            init: init,
+            get: get,
+            set: set
+        };
+    }
+});
@@ -0,0 +1,80 @@
+/*global define, window*/
+
+/**
+ * Storage module.
+ * Keeps plain data in the local storage of the app as JSON.
+ * Failures of the storage never break the app, they only lose the data.
+ *
+ * @module models/storage
+ * @namespace models/storage
+ */
+define({
+    name: 'models/storage',
+    def: function storage() {
+        'use strict';
+
+        /**
+         * Prefix of the keys used by the app.
+         *
+         * @memberof models/storage
+         * @private
+         * @const {string}
+         */
+        var PREFIX = 'tennis.';
+
+        /**
+         * Returns data stored under the given key,
+         * null if there is none or it cannot be read.
+         *
+         * @memberof models/storage
+         * @public
+         * @param {string} key
+         * @returns {*}
+         */
+        function get(key) {
+            try {
+                return JSON.parse(window.localStorage.getItem(PREFIX + key));
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Stores data under the given key.
+         * Returns false if the data could not be stored.
+         *
+         * @memberof models/storage
+         * @public
+         * @param {string} key
+         * @param {*} data
+         * @returns {boolean}
+         */
+        function set(key, data) {
+            try {
+                window.localStorage.setItem(PREFIX + key, JSON.stringify(data));
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        /**
+         * Removes data stored under the given key.
+         *
+         * @memberof models/storage
+         * @public
+         * @param {string} key
+         */
+        function remove(key) {
+            try {
+                window.localStorage.removeItem(PREFIX + key);
+            } catch (ignore) {}
+        }
+
+        return {
+            get: get,
+            set: set,
+            remove: remove
+        };
+    }
+});
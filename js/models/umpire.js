@@ -0,0 +1,349 @@
+/*global define*/
+
+/**
+ * Umpire module.
+ * Formats the score as a chair umpire calls it, from the view of the side
+ * serving the next point, e.g. '30-15', 'Deuce', 'Advantage Kim',
+ * 'Game Lee' or 'Game and first set Kim, 6-4'. Calls are made in English
+ * or Korean.
+ *
+ * @module models/umpire
+ * @requires {@link models/rules}
+ * @requires {@link models/serving}
+ * @namespace models/umpire
+ */
+define({
+    name: 'models/umpire',
+    requires: [
+        'models/rules',
+        'models/serving'
+    ],
+    def: function initUmpire(rules, serving) {
+        'use strict';
+
+        /**
+         * Languages of the calls.
+         *
+         * @memberof models/umpire
+         * @public
+         * @const {object}
+         */
+        var LANGUAGE = {
+                ENGLISH: 'en',
+                KOREAN: 'ko'
+            },
+
+            /**
+             * Words and templates of the calls by language.
+             * Templates fill in the {name}, {score} and {set} fields.
+             *
+             * @memberof models/umpire
+             * @private
+             * @const {object}
+             */
+            TEXTS = {
+                en: {
+                    points: ['Love', '15', '30', '40'],
+                    sets: ['first', 'second', 'third', 'fourth', 'fifth'],
+                    all: '{score} all',
+                    pointSeparator: '-',
+                    separator: '-',
+                    setSeparator: ' ',
+                    deuce: 'Deuce',
+                    decidingPoint: 'Deciding point',
+                    advantage: 'Advantage {name}',
+                    tiebreak: 'Tiebreak {score}',
+                    matchTiebreak: 'Match tiebreak {score}',
+                    game: 'Game {name}',
+                    set: 'Game and {set} set {name}, {score}',
+                    match: 'Game, set and match {name}, {score}',
+                    serving: '{name} serving',
+                    setScore: 'Sets {score}',
+                    gameScore: 'Games {score}'
+                },
+                ko: {
+                    points: ['러브', '피프틴', '서티', '포티'],
+                    sets: ['첫 번째', '두 번째', '세 번째', '네 번째', '다섯 번째'],
+                    all: '{score} 올',
+                    pointSeparator: ' ',
+                    separator: ' 대 ',
+                    setSeparator: ', ',
+                    deuce: '듀스',
+                    decidingPoint: '디사이딩 포인트',
+                    advantage: '어드밴티지 {name}',
+                    tiebreak: '타이브레이크 {score}',
+                    matchTiebreak: '매치 타이브레이크 {score}',
+                    game: '게임 {name}',
+                    set: '게임, {set} 세트 {name}, {score}',
+                    match: '게임 세트 매치 {name}, {score}',
+                    serving: '{name} 서브',
+                    setScore: '세트 {score}',
+                    gameScore: '게임 {score}'
+                }
+            };
+
+        /**
+         * Returns the template with its fields filled in.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {string} template
+         * @param {object} values Values by field name.
+         * @returns {string}
+         */
+        function fill(template, values) {
+            return Object.keys(values).reduce(function fillField(text, key) {
+                return text.replace('{' + key + '}', values[key]);
+            }, template);
+        }
+
+        /**
+         * Returns names of the side's players, e.g. 'Kim / Lee'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {number} side
+         * @returns {string}
+         */
+        function formatSide(state, side) {
+            return state.players[side].map(function getName(player) {
+                return player.name;
+            }).join(' / ');
+        }
+
+        /**
+         * Returns the pair of numbers from the view of the given side,
+         * e.g. '6-4'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {number[]} scores Scores of both sides.
+         * @param {number} side
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function formatScores(scores, side, text) {
+            return scores[side] + text.separator + scores[1 - side];
+        }
+
+        /**
+         * Returns games of the set from the view of the given side.
+         * A match tiebreak counts its points.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} set
+         * @param {number} side
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function formatSet(set, side, text) {
+            return formatScores(
+                set.matchTiebreak ? set.tiebreak : set.games,
+                side,
+                text
+            );
+        }
+
+        /**
+         * Returns the sets played from the view of the given side,
+         * e.g. '6-4 3-6'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {number} side
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function formatSets(state, side, text) {
+            return state.sets.map(function formatPlayed(set) {
+                return formatSet(set, side, text);
+            }).join(text.setSeparator);
+        }
+
+        /**
+         * Returns points of a game before deuce, e.g. '30-15' or '15 all'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {number[]} points Points of the server and the receiver.
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function formatPoints(points, text) {
+            if (points[0] === points[1]) {
+                return fill(text.all, {score: text.points[points[0]]});
+            }
+            return text.points[points[0]] + text.pointSeparator +
+                text.points[points[1]];
+        }
+
+        /**
+         * Returns call of the tiebreak in progress, e.g. 'Tiebreak 5-3'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {number} server Side serving the next point.
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function callTiebreak(state, server, text) {
+            return fill(
+                state.matchTiebreak ? text.matchTiebreak : text.tiebreak,
+                {score: formatScores(state.points, server, text)}
+            );
+        }
+
+        /**
+         * Returns call of the points of the game in progress.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function callPoints(state, text) {
+            var server = serving.getServer(state),
+                points = [state.points[server], state.points[1 - server]],
+                lead = state.points[0] - state.points[1];
+
+            if (state.tiebreak) {
+                return callTiebreak(state, server, text);
+            }
+            if (rules.isDecidingPoint(state)) {
+                return text.decidingPoint;
+            }
+            if (points[0] >= 3 && points[1] >= 3) {
+                return lead === 0 ? text.deuce : fill(text.advantage, {
+                    name: formatSide(state, lead > 0 ? 0 : 1)
+                });
+            }
+            return formatPoints(points, text);
+        }
+
+        /**
+         * Returns call of the game just won, together with the set
+         * it decided.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {object} previous State before the last point.
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function callGame(state, previous, text) {
+            var sets = state.sets,
+                set = sets[sets.length - 1],
+                winner = state.games[0] > previous.games[0] ? 0 : 1;
+
+            if (sets.length === previous.sets.length) {
+                return fill(text.game, {name: formatSide(state, winner)});
+            }
+            return fill(text.set, {
+                set: text.sets[sets.length - 1],
+                name: formatSide(state, set.winner),
+                score: formatSet(set, set.winner, text)
+            });
+        }
+
+        /**
+         * Returns call of the finished match with the score of its sets
+         * from the view of the winner, e.g.
+         * 'Game, set and match Kim, 6-4 7-6'.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {object} state
+         * @param {object} text Texts of the language.
+         * @returns {string}
+         */
+        function callMatch(state, text) {
+            return fill(text.match, {
+                name: formatSide(state, state.winner),
+                score: formatSets(state, state.winner, text)
+            });
+        }
+
+        /**
+         * Returns texts of the language, English if it is not known.
+         *
+         * @memberof models/umpire
+         * @private
+         * @param {string} [language] One of LANGUAGE values.
+         * @returns {object}
+         */
+        function getTexts(language) {
+            return TEXTS[language] || TEXTS[LANGUAGE.ENGLISH];
+        }
+
+        /**
+         * Returns the umpire's call of the match state. With the state
+         * before the last point, a point winning a game is called
+         * as the game won instead of the new game's score.
+         *
+         * @memberof models/umpire
+         * @public
+         * @param {object} state
+         * @param {object} [previous] State before the last point.
+         * @param {string} [language] One of LANGUAGE values, English
+         * by default.
+         * @returns {string}
+         */
+        function call(state, previous, language) {
+            var text = getTexts(language);
+
+            if (state.winner !== null) {
+                return callMatch(state, text);
+            }
+            if (previous && (state.sets.length !== previous.sets.length ||
+                    state.games[0] + state.games[1] !==
+                    previous.games[0] + previous.games[1])) {
+                return callGame(state, previous, text);
+            }
+            return callPoints(state, text);
+        }
+
+        /**
+         * Returns the full score of the match state from the view
+         * of the server, e.g. 'Kim serving. Sets 6-4. Games 2-1. 30-15'.
+         *
+         * @memberof models/umpire
+         * @public
+         * @param {object} state
+         * @param {string} [language] One of LANGUAGE values, English
+         * by default.
+         * @returns {string}
+         */
+        function callScore(state, language) {
+            var text = getTexts(language),
+                server = serving.getServer(state),
+                parts = [];
+
+            if (state.winner !== null) {
+                return callMatch(state, text);
+            }
+            parts.push(fill(text.serving, {name: formatSide(state, server)}));
+            if (state.sets.length) {
+                parts.push(fill(text.setScore, {
+                    score: formatSets(state, server, text)
+                }));
+            }
+            parts.push(fill(text.gameScore, {
+                score: formatScores(state.games, server, text)
+            }));
+            parts.push(callPoints(state, text));
+            return parts.join('. ');
+        }
+
+        return {
+            LANGUAGE: LANGUAGE,
+            call: call,
+            callScore: callScore
+        };
+    }
+});
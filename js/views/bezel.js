@@ -0,0 +1,79 @@
+/*global define, document*/
+
+/**
+ * Bezel view module.
+ * Passes rotation of the bezel to the displayed page. Pages which do not
+ * handle the rotation are scrolled.
+ *
+ * @module views/bezel
+ * @requires {@link core/event}
+ * @requires {@link views/pages}
+ * @namespace views/bezel
+ */
+define({
+    name: 'views/bezel',
+    requires: [
+        'core/event',
+        'views/pages'
+    ],
+    def: function bezel(ev, pages) {
+        'use strict';
+
+        /**
+         * Rotation directions.
+         *
+         * @memberof views/bezel
+         * @public
+         * @const {object}
+         */
+        var DIRECTION = {
+                CLOCKWISE: 'CW',
+                COUNTER_CLOCKWISE: 'CCW'
+            },
+
+            /**
+             * Distance scrolled by one detent, in pixels.
+             *
+             * @memberof views/bezel
+             * @private
+             * @const {number}
+             */
+            SCROLL_STEP = 60;
+
+        /**
+         * Handles rotation of the bezel by one detent.
+         * Listeners of the rotate event prevent its default action
+         * to stop the page from scrolling.
+         *
+         * @memberof views/bezel
+         * @private
+         * @param {CustomEvent} e
+         * @fires "views.bezel.rotate"
+         */
+        function onRotaryDetent(e) {
+            var direction = e.detail.direction,
+                page = pages.current();
+
+            if (!ev.fire('rotate', {direction: direction, page: page})) {
+                return;
+            }
+            document.getElementById('page-' + page).scrollTop +=
+                direction === DIRECTION.CLOCKWISE ? SCROLL_STEP : -SCROLL_STEP;
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/bezel
+         * @public
+         */
+        function init() {
+            document.addEventListener('rotarydetent', onRotaryDetent);
+        }
+
+        return {
+            init: init,
+            DIRECTION: DIRECTION
+        };
+    }
+});
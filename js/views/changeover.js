@@ -0,0 +1,83 @@
+/*global define, document*/
+
+/**
+ * Changeover view module.
+ * Prompts the players to change ends until the prompt is tapped,
+ * or the point is undone or a new match starts.
+ * The vibration comes from views/haptics.
+ *
+ * @module views/changeover
+ * @requires {@link core/event}
+ * @namespace views/changeover
+ */
+define({
+    name: 'views/changeover',
+    requires: [
+        'core/event'
+    ],
+    def: function changeover(ev) {
+        'use strict';
+
+        /**
+         * Prompt element.
+         *
+         * @memberof views/changeover
+         * @private
+         * @type {HTMLElement}
+         */
+        var promptElement = null;
+
+        /**
+         * Shows the prompt.
+         *
+         * @memberof views/changeover
+         * @private
+         */
+        function show() {
+            promptElement.classList.add('active');
+        }
+
+        /**
+         * Hides the prompt.
+         *
+         * @memberof views/changeover
+         * @private
+         */
+        function hide() {
+            promptElement.classList.remove('active');
+        }
+
+        /**
+         * Hides the tapped prompt. The tap does not reach the scoreboard.
+         *
+         * @memberof views/changeover
+         * @private
+         * @param {Event} e
+         */
+        function onTap(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            hide();
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/changeover
+         * @public
+         */
+        function init() {
+            promptElement = document.getElementById('changeover');
+            promptElement.addEventListener('touchstart', onTap);
+            promptElement.addEventListener('click', onTap);
+            ev.on('models.match.changeEnds', show);
+            ev.on('models.match.undo', hide);
+            ev.on('models.match.reset', hide);
+            ev.on('models.match.undoReset', hide);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,144 @@
+/*global define, document, window*/
+
+/**
+ * Clock view module.
+ * Shows the running countdown on the scoreboard, otherwise how long
+ * the match and the current set have lasted.
+ *
+ * @module views/clock
+ * @requires {@link core/event}
+ * @requires {@link models/clock}
+ * @requires {@link views/pages}
+ * @requires {@link views/time}
+ * @namespace views/clock
+ */
+define({
+    name: 'views/clock',
+    requires: [
+        'core/event',
+        'models/clock',
+        'views/pages',
+        'views/time'
+    ],
+    def: function clockView(ev, clock, pages, time) {
+        'use strict';
+
+        /**
+         * Time between updates of the shown times, in milliseconds.
+         *
+         * @memberof views/clock
+         * @private
+         * @const {number}
+         */
+        var TICK = 1000,
+
+            /**
+             * Names of the countdowns by type.
+             *
+             * @memberof views/clock
+             * @private
+             * @const {object}
+             */
+            TIMER_TEXTS = {
+                changeover: 'Changeover',
+                setBreak: 'Set break',
+                serve: 'Serve'
+            },
+
+            /**
+             * Clock element.
+             *
+             * @memberof views/clock
+             * @private
+             * @type {HTMLElement}
+             */
+            clockElement = null,
+
+            /**
+             * Interval updating the shown times, null if stopped.
+             *
+             * @memberof views/clock
+             * @private
+             * @type {number}
+             */
+            ticker = null;
+
+        /**
+         * Renders the countdown or the match times.
+         *
+         * @memberof views/clock
+         * @private
+         */
+        function render() {
+            var timer = clock.getTimer(),
+                elapsed = clock.getElapsed(),
+                sets = clock.getSetTimes(),
+                text = '';
+
+            if (timer) {
+                // a countdown shows the second it is in
+                text = TIMER_TEXTS[timer.type] + ' ' + time.formatClock(
+                    Math.ceil(timer.remaining / TICK) * TICK
+                );
+            } else if (elapsed) {
+                text = time.formatClock(elapsed);
+                if (sets.length > 1) {
+                    text += ', set ' + time.formatClock(sets[sets.length - 1]);
+                }
+            }
+            clockElement.textContent = text;
+            clockElement.classList.toggle('countdown', !!timer);
+        }
+
+        /**
+         * Ends the countdown if its time is up and renders the times.
+         *
+         * @memberof views/clock
+         * @private
+         */
+        function tick() {
+            clock.check();
+            render();
+        }
+
+        /**
+         * Updates the times every second while the scoreboard is seen.
+         *
+         * @memberof views/clock
+         * @private
+         */
+        function update() {
+            var visible = pages.current() === 'main' && !document.hidden;
+
+            if (visible && !ticker) {
+                ticker = window.setInterval(tick, TICK);
+            } else if (!visible && ticker) {
+                window.clearInterval(ticker);
+                ticker = null;
+            }
+            tick();
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/clock
+         * @public
+         */
+        function init() {
+            clockElement = document.getElementById('clock');
+            ev.on('views.pages.change', update);
+            ev.on('models.clock.start', render);
+            ev.on('models.clock.cancel', render);
+            ev.on('models.clock.expire', render);
+            ev.on('models.match.reset', render);
+            ev.on('models.match.undoReset', render);
+            document.addEventListener('visibilitychange', update);
+            update();
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,126 @@
+/*global define, document*/
+
+/**
+ * Dialog view module.
+ * Asks the user a yes or no question over the current page.
+ *
+ * @module views/dialog
+ * @requires {@link core/event}
+ * @namespace views/dialog
+ */
+define({
+    name: 'views/dialog',
+    requires: [
+        'core/event'
+    ],
+    def: function dialog(ev) {
+        'use strict';
+
+        /**
+         * Dialog element.
+         *
+         * @memberof views/dialog
+         * @private
+         * @type {HTMLElement}
+         */
+        var dialogElement = null,
+
+            /**
+             * Message element.
+             *
+             * @memberof views/dialog
+             * @private
+             * @type {HTMLElement}
+             */
+            messageElement = null,
+
+            /**
+             * Callbacks of the open question by answer.
+             *
+             * @memberof views/dialog
+             * @private
+             * @type {object}
+             */
+            callbacks = {};
+
+        /**
+         * Closes the dialog without an answer.
+         *
+         * @memberof views/dialog
+         * @public
+         */
+        function close() {
+            dialogElement.classList.remove('active');
+            callbacks = {};
+        }
+
+        /**
+         * Closes the dialog and calls back the given answer.
+         *
+         * @memberof views/dialog
+         * @private
+         * @param {string} reply 'yes' or 'no'.
+         */
+        function answer(reply) {
+            var callback = callbacks[reply];
+
+            close();
+            if (typeof callback === 'function') {
+                callback();
+            }
+        }
+
+        /**
+         * Asks the user to confirm the message.
+         *
+         * @memberof views/dialog
+         * @public
+         * @param {string} message
+         * @param {function} [onYes]
+         * @param {function} [onNo]
+         * @fires "views.dialog.open"
+         */
+        function confirm(message, onYes, onNo) {
+            callbacks = {
+                yes: onYes,
+                no: onNo
+            };
+            messageElement.textContent = message;
+            dialogElement.classList.add('active');
+            ev.fire('open');
+        }
+
+        /**
+         * Returns true if the dialog is open.
+         *
+         * @memberof views/dialog
+         * @public
+         * @returns {boolean}
+         */
+        function isOpen() {
+            return dialogElement.classList.contains('active');
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/dialog
+         * @public
+         */
+        function init() {
+            dialogElement = document.getElementById('dialog');
+            messageElement = dialogElement.querySelector('.dialog-message');
+            document.getElementById('dialog-yes')
+                .addEventListener('click', answer.bind(null, 'yes'));
+            document.getElementById('dialog-no')
+                .addEventListener('click', answer.bind(null, 'no'));
+        }
+
+        return {
+            init: init,
+            confirm: confirm,
+            close: close,
+            isOpen: isOpen
+        };
+    }
+});
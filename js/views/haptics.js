@@ -0,0 +1,231 @@
+/*global define, window*/
+
+/**
+ * Haptics view module.
+ * Vibrates a pattern for every point, telling a point from a game,
+ * a set and the match without a look at the screen. Rejected input
+ * buzzes a warning, the end of a countdown buzzes too.
+ * Every event may use any of the preset patterns.
+ *
+ * @module views/haptics
+ * @requires {@link core/event}
+ * @requires {@link models/settings}
+ * @namespace views/haptics
+ */
+define({
+    name: 'views/haptics',
+    requires: [
+        'core/event',
+        'models/settings'
+    ],
+    def: function haptics(ev, settings) {
+        'use strict';
+
+        /**
+         * Vibration patterns by preset name, in milliseconds
+         * of vibration and pause in turn.
+         *
+         * @memberof views/haptics
+         * @private
+         * @const {object}
+         */
+        var PRESETS = {
+                tap: [40],
+                double: [60, 80, 60],
+                long: [400],
+                triple: [200, 100, 200, 100, 600],
+                wave: [500, 200, 500],
+                buzz: [30, 40, 30, 40, 30],
+                pulse: [300, 150, 300, 150, 300],
+                off: []
+            },
+
+            /**
+             * Default presets by event.
+             *
+             * @memberof views/haptics
+             * @private
+             * @const {object}
+             */
+            DEFAULTS = {
+                point: 'tap',
+                game: 'double',
+                set: 'long',
+                match: 'triple',
+                changeEnds: 'wave',
+                warning: 'buzz',
+                timeUp: 'pulse'
+            },
+
+            /**
+             * Pause between two patterns played at once, in milliseconds.
+             *
+             * @memberof views/haptics
+             * @private
+             * @const {number}
+             */
+            PAUSE = 300;
+
+        /**
+         * Returns names of the events, e.g. 'game'.
+         *
+         * @memberof views/haptics
+         * @public
+         * @returns {string[]}
+         */
+        function getEvents() {
+            return Object.keys(DEFAULTS);
+        }
+
+        /**
+         * Returns names of the presets, e.g. 'double'.
+         *
+         * @memberof views/haptics
+         * @public
+         * @returns {string[]}
+         */
+        function getPresets() {
+            return Object.keys(PRESETS);
+        }
+
+        /**
+         * Returns name of the event's preset. Presets chosen
+         * in settings override the default ones.
+         *
+         * @memberof views/haptics
+         * @public
+         * @param {string} name Event name.
+         * @returns {string}
+         */
+        function getPreset(name) {
+            var chosen = settings.get('vibrationPatterns')[name];
+
+            return PRESETS.hasOwnProperty(chosen) ? chosen : DEFAULTS[name];
+        }
+
+        /**
+         * Chooses preset of the event. The 'off' preset does not vibrate.
+         *
+         * @memberof views/haptics
+         * @public
+         * @param {string} name Event name.
+         * @param {string} preset Preset name.
+         */
+        function setPreset(name, preset) {
+            var presets = JSON.parse(
+                JSON.stringify(settings.get('vibrationPatterns'))
+            );
+
+            presets[name] = preset;
+            settings.set('vibrationPatterns', presets);
+        }
+
+        /**
+         * Returns vibration pattern of the event.
+         *
+         * @memberof views/haptics
+         * @private
+         * @param {string} name Event name, e.g. 'game'.
+         * @returns {number[]}
+         */
+        function getPattern(name) {
+            return (PRESETS[getPreset(name)] || []).slice();
+        }
+
+        /**
+         * Vibrates the pattern unless vibration is switched off
+         * or not available.
+         *
+         * @memberof views/haptics
+         * @private
+         * @param {number[]} pattern
+         */
+        function vibrate(pattern) {
+            if (settings.get('haptics') && pattern.length &&
+                    typeof window.navigator.vibrate === 'function') {
+                window.navigator.vibrate(pattern);
+            }
+        }
+
+        /**
+         * Returns the pattern followed by the other one.
+         *
+         * @memberof views/haptics
+         * @private
+         * @param {number[]} first
+         * @param {number[]} second
+         * @returns {number[]}
+         */
+        function combine(first, second) {
+            return first.concat(first.length % 2 ? [PAUSE] : [], second);
+        }
+
+        /**
+         * Returns name of the event decided by the point.
+         *
+         * @memberof views/haptics
+         * @private
+         * @param {object} point Detail of the point event.
+         * @returns {string}
+         */
+        function getPointEvent(point) {
+            if (point.match) {
+                return 'match';
+            }
+            if (point.set) {
+                return 'set';
+            }
+            return point.game ? 'game' : 'point';
+        }
+
+        /**
+         * Vibrates for the point played, followed by the change
+         * of ends if it is time for it.
+         *
+         * @memberof views/haptics
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPoint(e) {
+            var pattern = getPattern(getPointEvent(e.detail));
+
+            if (e.detail.changeEnds) {
+                pattern = combine(pattern, getPattern('changeEnds'));
+            }
+            vibrate(pattern);
+        }
+
+        /**
+         * Buzzes the warning.
+         *
+         * @memberof views/haptics
+         * @private
+         */
+        function warn() {
+            vibrate(getPattern('warning'));
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/haptics
+         * @public
+         */
+        function init() {
+            ev.on('models.match.point', onPoint);
+            ev.on('models.log.reject', warn);
+            ev.on('views.input.holdRequired', warn);
+            ev.on('models.clock.expire', function onExpire() {
+                vibrate(getPattern('timeUp'));
+            });
+        }
+
+        return {
+            init: init,
+            getEvents: getEvents,
+            getPresets: getPresets,
+            getPreset: getPreset,
+            setPreset: setPreset
+        };
+    }
+});
@@ -0,0 +1,115 @@
+/*global define, document*/
+
+/**
+ * Head to head view module.
+ * Shows the card of the record between two teams.
+ *
+ * @module views/headtohead
+ * @requires {@link models/headtohead}
+ * @requires {@link views/options}
+ * @requires {@link views/pages}
+ * @namespace views/headtohead
+ */
+define({
+    name: 'views/headtohead',
+    requires: [
+        'models/headtohead',
+        'views/options',
+        'views/pages'
+    ],
+    def: function headToHeadView(headToHead, optionList, pages) {
+        'use strict';
+
+        /**
+         * Page id.
+         *
+         * @memberof views/headtohead
+         * @private
+         * @const {string}
+         */
+        var PAGE = 'headtohead',
+
+            /**
+             * Labels of the counts of the record.
+             *
+             * @memberof views/headtohead
+             * @private
+             * @const {object}
+             */
+            LABELS = {
+                matches: 'Matches',
+                sets: 'Sets',
+                games: 'Games',
+                tiebreaks: 'Tiebreaks'
+            },
+
+            /**
+             * Card element.
+             *
+             * @memberof views/headtohead
+             * @private
+             * @type {HTMLElement}
+             */
+            cardElement = null;
+
+        /**
+         * Renders the record.
+         *
+         * @memberof views/headtohead
+         * @private
+         * @param {object} record
+         */
+        function render(record) {
+            cardElement.innerHTML = '';
+            optionList.addItem(cardElement, 'heading', record.teams.map(
+                function formatTeam(team) {
+                    return team.join(' / ');
+                }
+            ).join(' vs '));
+            Object.keys(LABELS).forEach(function renderCount(key) {
+                optionList.addItem(
+                    cardElement,
+                    '',
+                    LABELS[key] + ' ' + record[key].join('-')
+                );
+            });
+        }
+
+        /**
+         * Shows the card of the first team's record against the second
+         * one. Returns false if the teams have not played each other
+         * or not all players are in the roster, the card is not shown
+         * then.
+         *
+         * @memberof views/headtohead
+         * @public
+         * @param {string[][]} teams Names of both teams.
+         * @returns {boolean}
+         */
+        function show(teams) {
+            var record = headToHead.getRecord(teams);
+
+            if (!record.played) {
+                return false;
+            }
+            render(record);
+            pages.show(PAGE);
+            return true;
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/headtohead
+         * @public
+         */
+        function init() {
+            cardElement = document.getElementById('headtohead-card');
+        }
+
+        return {
+            init: init,
+            show: show
+        };
+    }
+});
@@ -0,0 +1,319 @@
+/*global define, document*/
+
+/**
+ * History view module.
+ * Lists archived matches and shows details of the tapped one,
+ * which can be deleted there.
+ *
+ * @module views/history
+ * @requires {@link core/event}
+ * @requires {@link models/format}
+ * @requires {@link models/history}
+ * @requires {@link models/rating}
+ * @requires {@link views/dialog}
+ * @requires {@link views/options}
+ * @requires {@link views/pages}
+ * @requires {@link views/time}
+ * @namespace views/history
+ */
+define({
+    name: 'views/history',
+    requires: [
+        'core/event',
+        'models/format',
+        'models/history',
+        'models/rating',
+        'views/dialog',
+        'views/options',
+        'views/pages',
+        'views/time'
+    ],
+    def: function historyView(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            formats = req.models.format,
+            history = req.models.history,
+            rating = req.models.rating,
+            dialog = req.views.dialog,
+            optionList = req.views.options,
+            pages = req.views.pages,
+            time = req.views.time,
+
+            /**
+             * Id of the list page.
+             *
+             * @memberof views/history
+             * @private
+             * @const {string}
+             */
+            LIST_PAGE = 'history',
+
+            /**
+             * Id of the detail page.
+             *
+             * @memberof views/history
+             * @private
+             * @const {string}
+             */
+            DETAIL_PAGE = 'history-detail',
+
+            /**
+             * Question asked before the match is deleted.
+             *
+             * @memberof views/history
+             * @private
+             * @const {string}
+             */
+            DELETE_QUESTION = 'Delete match?',
+
+            /**
+             * Match list element.
+             *
+             * @memberof views/history
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null,
+
+            /**
+             * Match detail element.
+             *
+             * @memberof views/history
+             * @private
+             * @type {HTMLElement}
+             */
+            detailElement = null,
+
+            /**
+             * Id of the match shown on the detail page.
+             *
+             * @memberof views/history
+             * @private
+             * @type {number}
+             */
+            selectedId = null;
+
+        /**
+         * Returns names of the team's players, e.g. 'A1 / A2'.
+         *
+         * @memberof views/history
+         * @private
+         * @param {string[]} team
+         * @returns {string}
+         */
+        function formatTeam(team) {
+            return team.join(' / ');
+        }
+
+        /**
+         * Returns score of the set, e.g. '6-4', '6-7(5)' or '[10-8]'.
+         * The loser of a tiebreak set gets its tiebreak points in brackets.
+         *
+         * @memberof views/history
+         * @private
+         * @param {object} set
+         * @returns {string}
+         */
+        function formatSet(set) {
+            var tiebreak = set.tiebreak,
+                loser = set.winner === null ? null : 1 - set.winner;
+
+            if (set.matchTiebreak) {
+                return '[' + tiebreak[0] + '-' + tiebreak[1] + ']';
+            }
+            if (tiebreak && loser !== null) {
+                return set.games[0] + '-' + set.games[1] +
+                    '(' + tiebreak[loser] + ')';
+            }
+            return set.games[0] + '-' + set.games[1];
+        }
+
+        /**
+         * Returns result line of the archived match.
+         *
+         * @memberof views/history
+         * @private
+         * @param {object} entry
+         * @returns {string}
+         */
+        function formatResult(entry) {
+            if (entry.status === history.STATUS.ABANDONED) {
+                return 'Abandoned';
+            }
+            return 'Won by ' + formatTeam(entry.players[entry.winner]);
+        }
+
+        /**
+         * Renders the list of archived matches.
+         *
+         * @memberof views/history
+         * @private
+         */
+        function renderList() {
+            var entries = history.getAll();
+
+            listElement.innerHTML = '';
+            if (entries.length === 0) {
+                optionList.addItem(listElement, 'detail', 'No matches yet');
+                return;
+            }
+            entries.forEach(function renderEntry(entry) {
+                var item = optionList.addItem(
+                        listElement,
+                        '',
+                        entry.players.map(formatTeam).join(' vs ')
+                    ),
+                    summary = document.createElement('div');
+
+                item.setAttribute('data-id', entry.id);
+                summary.className = 'summary';
+                summary.textContent = time.formatDate(entry.date) + ', ' +
+                    (entry.sets.map(formatSet).join(' ') || '-');
+                item.appendChild(summary);
+            });
+        }
+
+        /**
+         * Renders rating changes of the rated match, e.g. 'Kim 1516 +16'.
+         *
+         * @memberof views/history
+         * @private
+         * @param {object} entry
+         */
+        function renderRatings(entry) {
+            var changes = rating.getChanges(entry.id);
+
+            if (!changes) {
+                return;
+            }
+            changes.forEach(function renderTeam(team) {
+                team.forEach(function renderPlayer(player) {
+                    optionList.addItem(
+                        detailElement,
+                        'detail',
+                        player.name + ' ' + player.rating + ' ' +
+                            rating.formatChange(player.change)
+                    );
+                });
+            });
+        }
+
+        /**
+         * Renders details of the selected match.
+         *
+         * @memberof views/history
+         * @private
+         */
+        function renderDetail() {
+            var entry = history.get(selectedId);
+
+            detailElement.innerHTML = '';
+            if (!entry) {
+                return;
+            }
+            optionList.addItem(
+                detailElement,
+                'heading',
+                entry.players.map(formatTeam).join(' vs ')
+            );
+            optionList.addItem(
+                detailElement,
+                'detail',
+                time.formatDate(entry.date)
+            );
+            optionList.addItem(
+                detailElement,
+                'detail',
+                formats.describe(entry.format)
+            );
+            entry.sets.forEach(function renderSet(set, index) {
+                optionList.addItem(
+                    detailElement,
+                    '',
+                    'Set ' + (index + 1) + ': ' + formatSet(set)
+                );
+            });
+            optionList.addItem(detailElement, '', formatResult(entry));
+            optionList.addItem(
+                detailElement,
+                'detail',
+                'First serve: ' + formatTeam(entry.players[entry.firstServer])
+            );
+            optionList.addItem(
+                detailElement,
+                'detail',
+                'Duration: ' + time.formatDuration(entry.duration)
+            );
+            renderRatings(entry);
+        }
+
+        /**
+         * Opens details of the tapped match.
+         *
+         * @memberof views/history
+         * @private
+         * @param {Event} e
+         */
+        function onItemClick(e) {
+            var item = e.target.closest('li[data-id]');
+
+            if (item) {
+                selectedId = Number(item.getAttribute('data-id'));
+                pages.show(DETAIL_PAGE);
+            }
+        }
+
+        /**
+         * Deletes the shown match once confirmed and returns to the list.
+         *
+         * @memberof views/history
+         * @private
+         */
+        function onDeleteClick() {
+            dialog.confirm(DELETE_QUESTION, function deleteMatch() {
+                history.remove(selectedId);
+                pages.back();
+            });
+        }
+
+        /**
+         * Renders the page being shown.
+         *
+         * @memberof views/history
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id === LIST_PAGE) {
+                renderList();
+            } else if (e.detail.id === DETAIL_PAGE) {
+                renderDetail();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/history
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('history-list');
+            detailElement = document.getElementById('history-detail');
+            listElement.addEventListener('click', onItemClick);
+            document.getElementById('history-delete')
+                .addEventListener('click', onDeleteClick);
+            ev.on('views.pages.change', onPageChange);
+            ev.on('models.history.change', function onHistoryChange() {
+                if (pages.current() === LIST_PAGE) {
+                    renderList();
+                }
+            });
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,525 @@
+/*global define, document, window*/
+
+/**
+ * Input view module.
+ * Turns input of every source into named commands, e.g. 'point:left',
+ * 'undo' or 'reset', and fires them. Each source maps its own inputs
+ * to commands:
+ * - touch: numpad keys, by id without the 'key_' prefix,
+ * - swipe: swipe directions on the numpad ('left', 'right', 'up', 'down'),
+ * - bezel: rotation directions on the scoreboard ('CW', 'CCW'),
+ * - hwkey: hardware key names,
+ * - keyboard: key values of a desktop keyboard, e.g. in the emulator.
+ *
+ * Keys with the long-tap class fire their command only when held,
+ * so reset is not mapped to any input which cannot be held.
+ * Depending on the tapGuard setting, keys awarding points need a short
+ * hold or a double tap. While the scoreboard is locked touches are ignored
+ * until a long swipe up. Ignored taps are logged.
+ *
+ * @module views/input
+ * @requires {@link core/event}
+ * @requires {@link models/log}
+ * @requires {@link models/settings}
+ * @namespace views/input
+ */
+define({
+    name: 'views/input',
+    requires: [
+        'core/event',
+        'models/log',
+        'models/settings'
+    ],
+    def: function input(ev, log, settings) {
+        'use strict';
+
+        /**
+         * Delay after which a held key fires its command.
+         *
+         * @memberof views/input
+         * @private
+         * @const {number}
+         */
+        var LONGTAP_DELAY = 400,
+
+            /**
+             * Distance a touch has to move to be a swipe, in pixels.
+             *
+             * @memberof views/input
+             * @private
+             * @const {number}
+             */
+            SWIPE_DISTANCE = 40,
+
+            /**
+             * Distance of the swipe unlocking the scoreboard, in pixels.
+             *
+             * @memberof views/input
+             * @private
+             * @const {number}
+             */
+            UNLOCK_DISTANCE = 100,
+
+            /**
+             * Time a guarded key has to be held, in milliseconds.
+             *
+             * @memberof views/input
+             * @private
+             * @const {number}
+             */
+            GUARD_HOLD_DELAY = 250,
+
+            /**
+             * Longest time between taps of a double tap, in milliseconds.
+             *
+             * @memberof views/input
+             * @private
+             * @const {number}
+             */
+            DOUBLE_TAP_INTERVAL = 400,
+
+            /**
+             * Default mappings of inputs to commands by source.
+             *
+             * @memberof views/input
+             * @private
+             * @const {object}
+             */
+            DEFAULT_MAPPINGS = {
+                touch: {
+                    'point_left': 'point:left',
+                    'point_right': 'point:right',
+                    'name_left': 'name:left',
+                    'name_right': 'name:right',
+                    'score_left': 'score',
+                    'score_right': 'score',
+                    'undo': 'undo',
+                    'redo': 'redo',
+                    'reset': 'reset',
+                    'menu': 'menu'
+                },
+                swipe: {
+                    'left': 'undo',
+                    'right': 'redo'
+                },
+                bezel: {
+                    'CW': 'choose:right',
+                    'CCW': 'choose:left'
+                },
+                hwkey: {
+                    'back': 'back'
+                },
+                keyboard: {
+                    'ArrowLeft': 'point:left',
+                    'ArrowRight': 'point:right',
+                    'Backspace': 'undo',
+                    'z': 'undo',
+                    'y': 'redo',
+                    's': 'swap',
+                    'l': 'lock',
+                    'v': 'score',
+                    'm': 'menu',
+                    'Escape': 'back'
+                }
+            },
+
+            /**
+             * Touch in progress on a key, null if none.
+             *
+             * @memberof views/input
+             * @private
+             * @type {object}
+             */
+            touch = null,
+
+            /**
+             * Timer of the held key.
+             *
+             * @memberof views/input
+             * @private
+             * @type {number}
+             */
+            holdTimer = null,
+
+            /**
+             * True if touches are ignored.
+             *
+             * @memberof views/input
+             * @private
+             * @type {boolean}
+             */
+            locked = false,
+
+            /**
+             * Guarded key waiting for the second tap, null if none.
+             *
+             * @memberof views/input
+             * @private
+             * @type {string}
+             */
+            firstTap = null,
+
+            /**
+             * Timer dropping the first tap.
+             *
+             * @memberof views/input
+             * @private
+             * @type {number}
+             */
+            firstTapTimer = null;
+
+        /**
+         * Returns mapping of inputs to commands of the given source.
+         * Mappings stored in settings override the default ones.
+         *
+         * @memberof views/input
+         * @public
+         * @param {string} source
+         * @returns {object}
+         */
+        function getMapping(source) {
+            var mapping = {},
+                custom = settings.get('inputMappings')[source] || {};
+
+            [DEFAULT_MAPPINGS[source] || {}, custom].forEach(
+                function apply(inputs) {
+                    Object.keys(inputs).forEach(function map(name) {
+                        mapping[name] = inputs[name];
+                    });
+                }
+            );
+            return mapping;
+        }
+
+        /**
+         * Maps inputs of the given source to commands. An input mapped
+         * to an empty string does nothing.
+         *
+         * @memberof views/input
+         * @public
+         * @param {string} source
+         * @param {object} mapping Commands by input.
+         */
+        function setMapping(source, mapping) {
+            var mappings = JSON.parse(
+                JSON.stringify(settings.get('inputMappings'))
+            );
+
+            mappings[source] = mapping;
+            settings.set('inputMappings', mappings);
+        }
+
+        /**
+         * Fires the command mapped to the input of the source.
+         * Returns false if the input is not mapped.
+         *
+         * @memberof views/input
+         * @private
+         * @param {string} source
+         * @param {string} name Input name.
+         * @returns {boolean}
+         * @fires "views.input.command"
+         */
+        function emit(source, name) {
+            var command = getMapping(source)[name];
+
+            if (!command) {
+                return false;
+            }
+            ev.fire('command', {
+                name: command
+            });
+            return true;
+        }
+
+        /**
+         * Returns direction of the swipe from the start of the touch
+         * to the given point, null if the touch is a tap.
+         *
+         * @memberof views/input
+         * @private
+         * @param {object} start Start of the touch.
+         * @param {Touch} [end]
+         * @param {number} distance Shortest swipe, in pixels.
+         * @returns {string|null}
+         */
+        function getSwipe(start, end, distance) {
+            var dx = end ? end.clientX - start.x : 0,
+                dy = end ? end.clientY - start.y : 0;
+
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < distance) {
+                return null;
+            }
+            if (Math.abs(dx) > Math.abs(dy)) {
+                return dx > 0 ? 'right' : 'left';
+            }
+            return dy > 0 ? 'down' : 'up';
+        }
+
+        /**
+         * Locks or unlocks the scoreboard.
+         *
+         * @memberof views/input
+         * @public
+         * @param {boolean} value True to lock.
+         * @fires "views.input.lock"
+         */
+        function setLocked(value) {
+            locked = value;
+            ev.fire('lock', {
+                locked: locked
+            });
+        }
+
+        /**
+         * Returns true if the scoreboard is locked.
+         *
+         * @memberof views/input
+         * @public
+         * @returns {boolean}
+         */
+        function isLocked() {
+            return locked;
+        }
+
+        /**
+         * Returns true if the key awards a point, so its taps are guarded.
+         *
+         * @memberof views/input
+         * @private
+         * @param {string} key
+         * @returns {boolean}
+         */
+        function isGuarded(key) {
+            return /^point:/.test(getMapping('touch')[key] || '');
+        }
+
+        /**
+         * Handles tap of a guarded key in the double tap mode.
+         * The second tap of the key fires the command. A first tap
+         * without the second one is ignored.
+         *
+         * @memberof views/input
+         * @private
+         * @param {string} key
+         */
+        function doubleTap(key) {
+            var first = firstTap;
+
+            window.clearTimeout(firstTapTimer);
+            firstTap = null;
+            if (first === key) {
+                emit('touch', key);
+                return;
+            }
+            if (first) {
+                log.reject(first, 'single');
+            }
+            firstTap = key;
+            firstTapTimer = window.setTimeout(function dropFirstTap() {
+                log.reject(firstTap, 'single');
+                firstTap = null;
+            }, DOUBLE_TAP_INTERVAL);
+        }
+
+        /**
+         * Handles tap of the key, guarded as the tapGuard setting says.
+         *
+         * @memberof views/input
+         * @private
+         * @param {object} started Touch of the key.
+         */
+        function tap(started) {
+            var mode = settings.get('tapGuard');
+
+            if (mode === 'off' || !isGuarded(started.key)) {
+                emit('touch', started.key);
+            } else if (mode === 'double') {
+                doubleTap(started.key);
+            } else if (Date.now() - started.time >= GUARD_HOLD_DELAY) {
+                emit('touch', started.key);
+            } else {
+                log.reject(started.key, 'short');
+            }
+        }
+
+        /**
+         * Stops waiting for the held key.
+         *
+         * @memberof views/input
+         * @private
+         */
+        function clearHoldTimer() {
+            window.clearTimeout(holdTimer);
+            holdTimer = null;
+        }
+
+        /**
+         * Handles touch on the numpad. A held key fires its command
+         * when held long enough.
+         *
+         * @memberof views/input
+         * @private
+         * @param {TouchEvent} e
+         */
+        function onTouchStart(e) {
+            var target = e.target,
+                point = e.touches[0] || {};
+
+            if (!target.classList.contains('key') || e.touches.length > 1) {
+                return;
+            }
+            touch = {
+                element: target,
+                key: target.id.replace(/key_/, ''),
+                x: point.clientX,
+                y: point.clientY,
+                time: Date.now(),
+                held: false
+            };
+            clearHoldTimer();
+            if (locked) {
+                return;
+            }
+            target.classList.add('press');
+            if (target.classList.contains('long-tap')) {
+                holdTimer = window.setTimeout(function onHold() {
+                    holdTimer = null;
+                    touch.held = true;
+                    emit('touch', touch.key);
+                }, LONGTAP_DELAY);
+            }
+        }
+
+        /**
+         * Handles end of the touch on the locked scoreboard. A long swipe
+         * up unlocks it, other touches are ignored.
+         *
+         * @memberof views/input
+         * @private
+         * @param {object} started Touch of the key.
+         * @param {Touch} [end]
+         */
+        function releaseLocked(started, end) {
+            if (getSwipe(started, end, UNLOCK_DISTANCE) === 'up') {
+                setLocked(false);
+            } else {
+                log.reject(started.key, 'locked');
+            }
+        }
+
+        /**
+         * Handles end of the touch. Fires the command of the swipe
+         * or of the tapped key. A held key released early fires
+         * the holdRequired event instead. A locked scoreboard only
+         * unlocks on a long swipe up.
+         *
+         * @memberof views/input
+         * @private
+         * @param {TouchEvent} e
+         * @fires "views.input.holdRequired"
+         */
+        function onTouchEnd(e) {
+            var started = touch,
+                end = null,
+                swipe = null;
+
+            if (!started) {
+                return;
+            }
+            touch = null;
+            clearHoldTimer();
+            started.element.classList.remove('press');
+            // keep the emulated click away from pages opened by the command
+            e.preventDefault();
+            end = e.changedTouches && e.changedTouches[0];
+            if (locked) {
+                releaseLocked(started, end);
+                return;
+            }
+            swipe = getSwipe(started, end, SWIPE_DISTANCE);
+            if (swipe) {
+                emit('swipe', swipe);
+            } else if (!started.element.classList.contains('long-tap')) {
+                tap(started);
+            } else if (!started.held) {
+                ev.fire('holdRequired', {
+                    name: getMapping('touch')[started.key]
+                });
+            }
+        }
+
+        /**
+         * Drops the touch taken over by the system.
+         *
+         * @memberof views/input
+         * @private
+         */
+        function onTouchCancel() {
+            if (touch) {
+                touch.element.classList.remove('press');
+                touch = null;
+            }
+            clearHoldTimer();
+        }
+
+        /**
+         * Handles touch events.
+         * Disables multitouch.
+         *
+         * @memberof views/input
+         * @private
+         * @param {Event} e
+         */
+        function filterTap(e) {
+            // disable multitouch
+            if (e.touches.length > 1) {
+                e.stopPropagation();
+                e.preventDefault();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/input
+         * @public
+         */
+        function init() {
+            var numpad = document.getElementById('numpad');
+
+            numpad.addEventListener('touchstart', onTouchStart);
+            numpad.addEventListener('touchend', onTouchEnd);
+            numpad.addEventListener('touchcancel', onTouchCancel);
+            document.body.addEventListener('touchstart', filterTap, true);
+            document.body.addEventListener('touchend', filterTap, true);
+            ev.on('views.bezel.rotate', function onRotate(e) {
+                if (e.detail.page === 'main') {
+                    // the scoreboard does not scroll
+                    e.preventDefault();
+                    emit('bezel', e.detail.direction);
+                }
+            });
+            document.addEventListener('tizenhwkey', function onHwKey(e) {
+                emit('hwkey', e.keyName);
+            });
+            document.addEventListener('keydown', function onKeyDown(e) {
+                // typing into a text field is not a command
+                if (e.target.tagName === 'INPUT') {
+                    return;
+                }
+                if (!e.repeat && emit('keyboard', e.key)) {
+                    e.preventDefault();
+                }
+            });
+        }
+
+        return {
+            init: init,
+            getMapping: getMapping,
+            setMapping: setMapping,
+            setLocked: setLocked,
+            isLocked: isLocked
+        };
+    }
+});
@@ -0,0 +1,144 @@
+/*global define, document*/
+
+/**
+ * Ladder view module.
+ * Lists the roster players ordered by rating and shows rating changes
+ * when a rated match finishes.
+ *
+ * @module views/ladder
+ * @requires {@link core/event}
+ * @requires {@link models/rating}
+ * @requires {@link views/options}
+ * @requires {@link views/pages}
+ * @requires {@link views/toast}
+ * @namespace views/ladder
+ */
+define({
+    name: 'views/ladder',
+    requires: [
+        'core/event',
+        'models/rating',
+        'views/options',
+        'views/pages',
+        'views/toast'
+    ],
+    def: function ladderView(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            rating = req.models.rating,
+            optionList = req.views.options,
+            pages = req.views.pages,
+            toast = req.views.toast,
+
+            /**
+             * Page id.
+             *
+             * @memberof views/ladder
+             * @private
+             * @const {string}
+             */
+            PAGE = 'ladder',
+
+            /**
+             * Texts of the page and the toast.
+             *
+             * @memberof views/ladder
+             * @private
+             * @const {object}
+             */
+            TEXTS = {
+                empty: 'No saved players',
+                action: 'Ladder'
+            },
+
+            /**
+             * List element.
+             *
+             * @memberof views/ladder
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null;
+
+        /**
+         * Renders the ladder, each player with its rank and rating,
+         * e.g. '1. Kim 1516', and below the number of rated matches
+         * and the change after the last one.
+         *
+         * @memberof views/ladder
+         * @private
+         */
+        function render() {
+            var ladder = rating.getLadder();
+
+            listElement.innerHTML = '';
+            if (!ladder.length) {
+                optionList.addItem(listElement, 'detail', TEXTS.empty);
+            }
+            ladder.forEach(function renderPlayer(player, index) {
+                var item = optionList.addItem(
+                        listElement,
+                        '',
+                        (index + 1) + '. ' + player.name + ' ' + player.rating
+                    ),
+                    summary = document.createElement('div');
+
+                summary.className = 'summary';
+                summary.textContent = player.played +
+                    (player.played === 1 ? ' match' : ' matches') +
+                    (player.played ? ', last ' +
+                        rating.formatChange(player.change) : '');
+                item.appendChild(summary);
+            });
+        }
+
+        /**
+         * Shows rating changes of the finished match, if it is rated.
+         *
+         * @memberof views/ladder
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onMatchFinish(e) {
+            var changes = rating.getChanges(e.detail.startedAt);
+
+            if (!changes) {
+                return;
+            }
+            toast.show(changes.map(function formatTeam(team) {
+                return team.map(function formatPlayer(player) {
+                    return player.name + ' ' +
+                        rating.formatChange(player.change);
+                }).join(', ');
+            }).join(', '), TEXTS.action, function showLadder() {
+                pages.show(PAGE);
+            });
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/ladder
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('ladder-list');
+            ev.on('views.pages.change', function onPageChange(e) {
+                if (e.detail.id === PAGE) {
+                    render();
+                }
+            });
+            ev.on('models.rating.change', function onRatingChange() {
+                if (pages.current() === PAGE) {
+                    render();
+                }
+            });
+            ev.on('models.match.finish', onMatchFinish);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
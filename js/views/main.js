@@ -14,469 +14,640 @@
  *      limitations under the License.
  */
 
-/*global define, document, window,tizen, console*/
+/*global define, document, window, tizen*/
 
 /**
  * Main view module.
  *
  * @module views/main
- * @requires {@link models/errors}
- * @requires {@link models/model}
+ * @requires {@link core/event}
+ * @requires {@link models/log}
+ * @requires {@link models/match}
+ * @requires {@link models/roster}
+ * @requires {@link models/serving}
+ * @requires {@link models/settings}
+ * @requires {@link models/umpire}
+ * @requires {@link views/dialog}
+ * @requires {@link views/input}
+ * @requires {@link views/pages}
+ * @requires {@link views/speech}
+ * @requires {@link views/toast}
  * @namespace views/main
  */
 define({
     name: 'views/main',
     requires: [
-        'models/errors',
-        'models/model'
+        'core/event',
+        'models/log',
+        'models/match',
+        'models/roster',
+        'models/serving',
+        'models/settings',
+        'models/umpire',
+        'views/dialog',
+        'views/input',
+        'views/pages',
+        'views/speech',
+        'views/toast'
     ],
-    def: function main(errors, model) {
+    def: function main(req) {
         'use strict';
 
-        /**
-         * Delay after which longtap event is executed.
-         *
-         * @memberof views/main
-         * @private
-         * @const {number}
-         */
-        var LONGTAP_DELAY = 400,
+        var ev = req.core.event,
+            log = req.models.log,
+            match = req.models.match,
+            roster = req.models.roster,
+            serving = req.models.serving,
+            settings = req.models.settings,
+            umpire = req.models.umpire,
+            dialog = req.views.dialog,
+            input = req.views.input,
+            pages = req.views.pages,
+            speech = req.views.speech,
+            toast = req.views.toast,
 
             /**
-             * Interval of processing longtap event.
+             * Time after which a point chosen with the bezel is awarded
+             * or, if it waits for a tap, dropped.
              *
              * @memberof views/main
              * @private
              * @const {number}
              */
-            LONGTAP_REPEAT_INTERVAL = 20,
+            BEZEL_TIMEOUT = 3000,
 
             /**
-             * Maximum count of digits in the equation.
+             * Side of the point chosen with the bezel, null if none.
              *
              * @memberof views/main
              * @private
-             * @const {number}
+             * @type {number|null}
              */
-            MAX_DIGITS = 9,
+            pendingSide = null,
 
             /**
-             * Minimum number of digits in the equation after which font is
-             * decreased.
+             * Timer of the point chosen with the bezel.
              *
              * @memberof views/main
              * @private
-             * @const {number}
+             * @type {number}
+             */
+            pendingTimer = null,
+
+            /**
+             * Court positions of the numpad keys.
+             * Keys show match side 0 on the left unless the layout is
+             * mirrored.
+             *
+             * @memberof views/main
+             * @private
+             * @const {object}
              */
-            SMALL_FONT_THRESHOLD = 7,
+            POSITIONS = {
+                left: 0,
+                right: 1
+            },
+
+            /**
+             * Manual swap of the layout, on top of the automatic one.
+             *
+             * @memberof views/main
+             * @private
+             * @type {boolean}
+             */
+            swapped = false,
 
             /**
-             * Separator.
+             * Label shown on the winner's point cell.
              *
              * @memberof views/main
              * @private
              * @const {string}
              */
-            SEPARATOR = ',',
+            WINNER_LABEL = 'WIN',
 
             /**
-             * Container for timers of longtap events.
+             * Status line texts.
              *
              * @memberof views/main
              * @private
              * @const {object}
              */
-            longTapRepeatTimers = {},
+            STATUS_TEXTS = {
+                pickServer: 'Tap a name to pick the server',
+                pickPlayer: 'Tap the name to switch server',
+                decidingPoint: 'Deciding point',
+                receiverChooses: 'Deciding point, receiver chooses',
+                pendingPoint: 'Point ',
+                confirmPoint: '? Tap to confirm',
+                locked: 'Locked, swipe up to unlock'
+            },
 
             /**
-             * Object that maps calculator signs to the HTML version.
+             * Toast texts.
              *
              * @memberof views/main
              * @private
-             * @type {object}
+             * @const {object}
              */
-            operatorDisplays = {
-                '+': '+',
-                '-': '&minus;',
-                '*': '&times;',
-                '/': '&divide;'
+            TOAST_TEXTS = {
+                holdReset: 'Hold to start a new match',
+                abandoned: 'Match archived',
+                saveError: 'Match could not be saved',
+                undo: 'Undo'
             },
 
             /**
-             * Object that maps strings to the math operators.
+             * Question asked before leaving a match in progress.
              *
              * @memberof views/main
              * @private
-             * @type {object}
+             * @const {string}
              */
-            operatorKeys = {
-                'add': '+',
-                'sub': '-',
-                'mul': '*',
-                'div': '/'
-            },
+            EXIT_QUESTION = 'Exit the app?',
 
             /**
-             * Result element.
+             * Numpad element.
              *
              * @memberof views/main
              * @private
              * @type {HTMLElement}
              */
-            resultElement = null,
+            numpadElement = null,
 
             /**
-             * Result value element.
+             * Name elements, indexed by court position.
+             *
+             * @memberof views/main
+             * @private
+             * @type {HTMLElement[]}
+             */
+            nameElements = [],
+
+            /**
+             * Status line element.
              *
              * @memberof views/main
              * @private
              * @type {HTMLElement}
              */
-            resultValueElement = null,
+            statusElement = null,
 
             /**
-             * Equation element.
+             * Umpire call line element.
              *
              * @memberof views/main
              * @private
              * @type {HTMLElement}
              */
-            equationElement = null,
+            callElement = null,
 
             /**
-             * Display element.
+             * Undo key element.
              *
              * @memberof views/main
              * @private
              * @type {HTMLElement}
              */
-            displayElement = null,
+            undoElement = null,
 
             /**
-             * Error flag.
+             * Redo key element.
              *
              * @memberof views/main
              * @private
-             * @type {boolean}
+             * @type {HTMLElement}
              */
-            error = false,
+            redoElement = null,
 
             /**
-             * Calculation success flag.
+             * Elements listing games of completed sets,
+             * indexed by court position.
              *
              * @memberof views/main
              * @private
-             * @type {boolean}
+             * @type {HTMLElement[]}
              */
-            result = false;
+            setElements = [],
+
+            /**
+             * Game count elements, indexed by court position.
+             *
+             * @memberof views/main
+             * @private
+             * @type {HTMLElement[]}
+             */
+            gameElements = [],
+
+            /**
+             * Point elements, indexed by court position.
+             *
+             * @memberof views/main
+             * @private
+             * @type {HTMLElement[]}
+             */
+            pointElements = [];
 
         /**
-         * Handles touch events.
-         * Disables multitouch.
+         * Returns games won by the side in each completed set, e.g. '6 3'.
+         * The loser of a tiebreak set gets its tiebreak points in brackets,
+         * e.g. '6(5)'. A match tiebreak shows its points, e.g. '[10]'.
          *
          * @memberof views/main
          * @private
-         * @param {Event} ev
+         * @param {object[]} sets Completed sets.
+         * @param {number} side
+         * @returns {string}
          */
-        function filterTap(ev) {
-            // disable multitouch
-            if (ev.touches.length > 1) {
-                ev.stopPropagation();
-                ev.preventDefault();
-            }
+        function formatSets(sets, side) {
+            return sets.map(function getGames(set) {
+                var games = String(set.games[side]);
+
+                if (set.matchTiebreak) {
+                    games = '[' + set.tiebreak[side] + ']';
+                } else if (set.tiebreak && set.winner !== side) {
+                    games += '(' + set.tiebreak[side] + ')';
+                }
+                return games;
+            }).join(' ');
         }
 
         /**
-         * Clears registered timers.
+         * Returns status line text for the given state.
          *
          * @memberof views/main
          * @private
-         * @param {string} key
+         * @param {object} state
+         * @returns {string}
          */
-        function clearLongTapRepeatTimers(key) {
-            if (longTapRepeatTimers['start' + key]) {
-                window.clearTimeout(longTapRepeatTimers['start' + key]);
-                longTapRepeatTimers['start' + key] = null;
+        function getStatusText(state) {
+            if (input.isLocked()) {
+                return STATUS_TEXTS.locked;
             }
-
-            if (longTapRepeatTimers['repeat' + key]) {
-                window.clearInterval(longTapRepeatTimers['repeat' + key]);
-                longTapRepeatTimers['repeat' + key] = null;
+            if (pendingSide !== null) {
+                return STATUS_TEXTS.pendingPoint +
+                    state.players[pendingSide].map(function getName(player) {
+                        return player.name;
+                    }).join(' / ') +
+                    (settings.get('bezel') === 'tap' ?
+                            STATUS_TEXTS.confirmPoint : '');
+            }
+            if (!match.hasStarted()) {
+                return STATUS_TEXTS.pickServer;
+            }
+            if (serving.canChooseServingPlayer(
+                    state,
+                    serving.getServer(state)
+                )) {
+                return STATUS_TEXTS.pickPlayer;
+            }
+            if (match.isDecidingPoint(state)) {
+                return STATUS_TEXTS[state.format.deuce];
             }
+            return '';
         }
 
         /**
-         * Returns true for result, false for empty result.
+         * Returns true if the layout shows match side 0 on the right.
          *
          * @memberof views/main
          * @private
+         * @param {object} state
          * @returns {boolean}
          */
-        function isResultVisible() {
-            return result;
+        function isMirrored(state) {
+            var auto = settings.get('autoSwap') && state.endsSwapped;
+
+            return swapped !== auto;
         }
 
         /**
-         * Clears result element.
+         * Returns match side shown at the given court position.
          *
          * @memberof views/main
          * @private
+         * @param {object} state
+         * @param {number} position
+         * @returns {number}
          */
-        function clear() {
-            equationElement.classList.remove('top');
-            resultValueElement.innerHTML = '';
-            displayElement.classList.add('empty-result');
+        function getSide(state, position) {
+            return isMirrored(state) ? 1 - position : position;
         }
 
         /**
-         * Clears result element and flags.
+         * Renders names of the side's players and marks the one serving.
          *
          * @memberof views/main
          * @private
+         * @param {HTMLElement} element
+         * @param {object} state
+         * @param {number} side
+         * @param {number|null} player Index of the serving player
+         * of the side, null if the side does not serve.
          */
-        function clearResult() {
-            clear();
-            result = false;
-            error = false;
+        function renderNames(element, state, side, player) {
+            element.innerHTML = '';
+            element.classList.toggle('doubles', state.players[side].length > 1);
+            element.classList.toggle('serving', player !== null);
+            element.classList.toggle('winner', state.winner === side);
+            state.players[side].forEach(function renderName(data, index) {
+                var span = document.createElement('span');
+
+                span.className = 'player';
+                span.classList.toggle('serving', index === player);
+                span.textContent = roster.shorten(data.name);
+                element.appendChild(span);
+            });
         }
 
-
         /**
-         * Shows string in result element.
+         * Renders the current match state.
          *
          * @memberof views/main
          * @private
-         * @param {string} result
-         * @param {boolean} error Error flag.
          */
-        function show(result, error) {
-            if (result === '') {
-                return clear();
-            }
-
-            equationElement.classList.add('top');
-            displayElement.classList.remove('empty-result');
-
-            if (error === true) {
-                resultElement.classList.add('error');
-                if (result.length > MAX_DIGITS) {
-                    resultElement.classList.add('small');
+        function render() {
+            var state = match.getState(),
+                finished = state.status === match.STATUS.FINISHED,
+                points = match.formatPoints(state),
+                server = finished ? null : serving.getServingPlayer(state),
+                position = 0,
+                side = 0;
+
+            numpadElement.classList.toggle('finished', finished);
+            numpadElement.classList.toggle('tiebreak', state.tiebreak);
+            numpadElement.classList.toggle('locked', input.isLocked());
+            statusElement.textContent = getStatusText(state);
+            callElement.textContent =
+                umpire.call(state, match.getPreviousState());
+            undoElement.classList.toggle('disabled', !match.canUndo());
+            redoElement.classList.toggle('disabled', !match.canRedo());
+            for (position = 0; position < 2; position += 1) {
+                side = getSide(state, position);
+                setElements[position].textContent =
+                    formatSets(state.sets, side);
+                gameElements[position].textContent = state.games[side];
+                pointElements[position].classList.toggle(
+                    'pending',
+                    pendingSide === side
+                );
+                renderNames(
+                    nameElements[position],
+                    state,
+                    side,
+                    server && server.team === side ? server.player : null
+                );
+                if (finished) {
+                    pointElements[position].textContent =
+                        state.winner === side ? WINNER_LABEL : '';
                 } else {
-                    resultElement.classList.remove('small');
+                    pointElements[position].textContent = points[side];
                 }
-            } else {
-                resultElement.classList.remove('error');
-                resultElement.classList.remove('small');
             }
-
-            resultValueElement.innerHTML = result.replace(/-/g, '&minus;');
         }
 
         /**
-         * Shows error in result element.
+         * Drops the point chosen with the bezel.
          *
          * @memberof views/main
          * @private
-         * @param {string} error
          */
-        function showError(error) {
-            show(error, true);
-            error = true;
+        function cancelPoint() {
+            window.clearTimeout(pendingTimer);
+            pendingTimer = null;
+            pendingSide = null;
+            render();
         }
 
         /**
-         * Handles pressing digit button.
+         * Drops the point chosen with the bezel, if there is one.
+         * Returns true if a point was dropped.
          *
          * @memberof views/main
          * @private
-         * @param {object} key
+         * @returns {boolean}
          */
-        function pushDigits(key) {
-            if (!model.addDigit(key)) {
-                showError('Only 10 digits available');
+        function dropPoint() {
+            if (pendingSide === null) {
+                return false;
             }
+            cancelPoint();
+            return true;
         }
 
         /**
-         * Adds separators to matched string.
+         * Awards the point chosen with the bezel.
          *
          * @memberof views/main
          * @private
-         * @param {string} match
-         * @param {string} sign
-         * @param {string} p1
-         * @returns {string}
          */
-        function regexpReplacer(match, sign, p1) {
-            var p1array = null;
-
-            p1 = p1.split('').reverse().join('');
-            p1array = p1.match(new RegExp('.{1,3}', 'g'));
-            p1 = p1array.join(SEPARATOR);
-            p1 = p1.split('').reverse().join('');
+        function confirmPoint() {
+            var side = pendingSide;
 
-            return sign + p1;
+            cancelPoint();
+            if (match.getState().status !== match.STATUS.FINISHED) {
+                match.awardPoint(side);
+                render();
+            }
         }
 
-
         /**
-         * Adds separators to the specified equation.
+         * Chooses a point for the side at the given court position
+         * with the bezel. Choosing the other side drops the chosen point.
          *
          * @memberof views/main
          * @private
-         * @param {string} equationString
-         * @returns {string} Equation with separators.
+         * @param {number} position
          */
-        function addSeparators(equationString) {
-            var negative = false;
+        function choosePoint(position) {
+            var mode = settings.get('bezel'),
+                state = match.getState(),
+                side = getSide(state, position);
 
-            if (model.isNegativeComponent(equationString)) {
-                equationString = RegExp.$2;
-                negative = true;
+            if (mode === 'off' || state.status === match.STATUS.FINISHED) {
+                return;
+            }
+            if (pendingSide !== null && pendingSide !== side) {
+                cancelPoint();
+                return;
             }
-            equationString = equationString.replace(
-                new RegExp('^(\\-?)([0-9]+)', 'g'),
-                regexpReplacer
+            window.clearTimeout(pendingTimer);
+            pendingSide = side;
+            pendingTimer = window.setTimeout(
+                mode === 'timeout' ? confirmPoint : cancelPoint,
+                BEZEL_TIMEOUT
             );
-            return negative ? '(-' + equationString + ')' : equationString;
+            render();
         }
 
         /**
-         * Shows result in result element.
+         * Handles tap on the side's name. Before the match starts the side
+         * becomes the server. A doubles team due to serve switches which
+         * of its players serves until the serving order is fixed.
          *
          * @memberof views/main
          * @private
-         * @param {string} res Result.
-         * @param {boolean} err Error flag.
+         * @param {number} side
          */
-        function showResult(res, err) {
-            error = err || false;
-            if (error) {
-                error = true;
+        function chooseServer(side) {
+            var state = match.getState();
+
+            if (!match.hasStarted() && state.server !== side) {
+                match.setServer(side);
+            } else if (serving.getServer(state) === side &&
+                    serving.canChooseServingPlayer(state, side)) {
+                match.setServingPlayer(side, state.nextPlayer[side] + 1);
             }
-            show(res, err);
-            result = true;
         }
 
         /**
-         * Calculates equation and displays result on the screen.
+         * Executes the scoreboard command.
          *
          * @memberof views/main
          * @private
+         * @param {string} action Command name without the court position,
+         * e.g. 'point' for 'point:left'.
+         * @param {number} [position] Court position named by the command.
          */
-        function calculate() {
-            var calculationResult = '';
-
-            try {
-                calculationResult = model.calculate();
-                calculationResult = addSeparators(calculationResult);
-                showResult('=&nbsp;' + calculationResult);
-            } catch (e) {
-                if (e instanceof errors.EquationInvalidFormatError) {
-                    showResult('Wrong format');
-                } else if (e instanceof errors.CalculationError) {
-                    showResult('Invalid operation');
-                } else if (e instanceof errors.InfinityError) {
-                    showResult(
-                        (e.positive ? '' : '&minus;') + '&infin;'
-                    );
-                } else {
-                    showError('Unknown error.');
-                    console.warn(e);
-                }
+        function execute(action, position) {
+            /*jshint maxcomplexity:12 */
+            var state = match.getState(),
+                finished = state.status === match.STATUS.FINISHED,
+                side = getSide(state, position);
+
+            if (action === 'point' && !finished) {
+                match.awardPoint(side);
+            } else if (action === 'name') {
+                chooseServer(side);
+            } else if (action === 'undo') {
+                match.undo();
+            } else if (action === 'redo') {
+                match.redo();
+            } else if (action === 'reset') {
+                match.reset();
+            } else if (action === 'swap') {
+                swapped = !swapped;
+            } else if (action === 'lock') {
+                input.setLocked(true);
+                return;
+            } else if (action === 'score') {
+                speech.sayScore();
+                return;
+            } else if (action === 'menu') {
+                pages.show('menu');
+                return;
             }
+            render();
         }
 
+
         /**
-         * Displays given equation.
+         * Saves the match and closes the app.
          *
          * @memberof views/main
          * @private
-         * @param {string} equation
          */
-        function showEquation(equation) {
-            var e = 0,
-                element = null,
-                elementText = null,
-                span = null,
-                length = 0;
-
-            equationElement.innerHTML = '';
-
-            length = equation.length;
-            for (e = 0; e < length; e += 1) {
-                element = equation[e];
-                span = document.createElement('span');
-                elementText = element;
-                if (Object.keys(operatorDisplays).indexOf(element) !== -1) {
-                    span.className = 'operator';
-                    elementText = operatorDisplays[element];
-                } else {
-                    elementText = addSeparators(elementText);
-                }
-                elementText = elementText.replace(/-/g, '&minus;');
-                span.innerHTML = elementText;
-                equationElement.appendChild(span);
-            }
+        function exit() {
+            match.save();
+            try {
+                tizen.application.getCurrentApplication().exit();
+            } catch (ignore) {}
+        }
 
-            if (equation[0] && equation[0].length >= SMALL_FONT_THRESHOLD) {
-                equationElement.classList.add('medium');
-            } else {
-                equationElement.classList.remove('medium');
-            }
+        /**
+         * Returns true if the match has started and is not finished.
+         *
+         * @memberof views/main
+         * @private
+         * @returns {boolean}
+         */
+        function isInProgress() {
+            return match.hasStarted() &&
+                match.getState().status !== match.STATUS.FINISHED;
         }
 
         /**
-         * Refreshes equation field.
+         * Handles the back key. It closes the open dialog or page first,
+         * or drops the point chosen with the bezel.
+         * On the scoreboard it does what the backKey setting says:
+         * undoes the last point, exits or asks before exiting a match
+         * in progress. Without a point to undo it asks too.
          *
          * @memberof views/main
          * @private
          */
-        function refreshEquation() {
-            showEquation(model.getEquation());
+        function onBack() {
+            /*jshint maxcomplexity:8 */
+            var action = settings.get('backKey');
+
+            if (dialog.isOpen()) {
+                dialog.close();
+                return;
+            }
+            if (pages.back() || dropPoint()) {
+                return;
+            }
+            if (action === 'undo' && match.undo()) {
+                render();
+                return;
+            }
+            if (action !== 'exit' && isInProgress()) {
+                dialog.confirm(EXIT_QUESTION, exit);
+                return;
+            }
+            exit();
         }
 
         /**
-         * Handles press key event.
+         * Handles the command while a point chosen with the bezel waits.
+         * A tap on the point of the chosen side confirms it, a tap
+         * on the other point or undo drops it. Any other command
+         * drops it before it is executed.
          *
          * @memberof views/main
          * @private
-         * @param {object} key
+         * @param {string} action
+         * @param {number} [position]
          */
-        function processKey(key) {
-            /*jshint maxcomplexity:11 */
-            var keys = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
-
-            if (isResultVisible()) {
-                if (
-                    Object.keys(operatorKeys).indexOf(key) === -1 &&
-                    key !== 'del' &&
-                    key !== 'eql' &&
-                    key !== 'sign'
-                ) {
-                    model.resetEquation();
-                }
+        function settlePoint(action, position) {
+            if (action === 'point' &&
+                    getSide(match.getState(), position) === pendingSide) {
+                confirmPoint();
+                return;
             }
-            clearResult();
-            if (keys.indexOf(key) !== -1) {
-                pushDigits(key);
-            } else if (Object.keys(operatorKeys).indexOf(key) !== -1) {
-                model.addOperator(operatorKeys[key]);
-            } else if (key === 'dec') {
-                model.addDecimal();
-            } else if (key === 'del') {
-                model.deleteLast();
-            } else if (key === 'c') {
-                model.resetEquation();
-            } else if (key === 'sign') {
-                model.changeSign();
-            } else if (key === 'bracket') {
-                model.addBracket();
+            cancelPoint();
+            if (action !== 'undo' && action !== 'point') {
+                execute(action, position);
             }
-            if (key === 'eql' && !model.isEmpty()) {
-                calculate();
+        }
+
+        /**
+         * Handles a command of the input. Commands other than back
+         * only work on the scoreboard. While the scoreboard is locked
+         * they are logged as rejected instead.
+         *
+         * @memberof views/main
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onCommand(e) {
+            var parts = e.detail.name.split(':'),
+                action = parts[0],
+                position = POSITIONS[parts[1]];
+
+            if (action === 'back') {
+                onBack();
+            } else if (input.isLocked()) {
+                log.reject(e.detail.name, 'locked');
+            } else if (pages.current() !== 'main' || dialog.isOpen()) {
+                return;
+            } else if (action === 'choose') {
+                choosePoint(position);
+            } else if (pendingSide !== null) {
+                settlePoint(action, position);
+            } else {
+                execute(action, position);
             }
-            refreshEquation();
         }
 
         /**
@@ -486,75 +657,42 @@ define({
          * @private
          */
         function bindEvents() {
-            var numpad = document.getElementById('numpad');
-
-            numpad.addEventListener('touchstart', function onTouchStart(e) {
-                var key = '',
-                    target = e.target,
-                    classList = target.classList;
-
-                if (!classList.contains('key') &&
-                    !classList.contains('longkey')) {
-                    return;
+            ev.on('views.input.command', onCommand);
+            ev.on('views.input.holdRequired', function onHoldRequired(e) {
+                if (e.detail.name === 'reset') {
+                    toast.show(TOAST_TEXTS.holdReset);
                 }
-                classList.add('press');
-                key = target.id.replace(/key_/, '');
-                if (classList.contains('long-tap-repeat')) {
-                    longTapRepeatTimers['start' + key] = window.setTimeout(
-                        function longtapStart() {
-                            processKey(key);
-                            longTapRepeatTimers['repeat' + key] =
-                                window.setInterval(
-                                    function longtapRepeat() {
-                                        processKey(key);
-                                    },
-                                    LONGTAP_REPEAT_INTERVAL
-                                );
-                        },
-                        LONGTAP_DELAY
-                    );
+            });
+            ev.on('views.pages.change', function onPageChange(e) {
+                if (e.detail.id === 'main') {
+                    render();
                 } else {
-                    processKey(key);
+                    dropPoint();
                 }
-
             });
-            numpad.addEventListener('touchend', function onTouchEnd(e) {
-                var key = '',
-                    target = e.target,
-                    classList = target.classList;
-
-                if (!classList.contains('key') &&
-                    !classList.contains('longkey')) {
-                    return;
-                }
-                classList.remove('press');
-                key = target.id.replace(/key_/, '');
-                if (classList.contains('long-tap-repeat') &&
-                    !longTapRepeatTimers['repeat' + key]) {
-                    if (e.touches.length === 0) {
-                        processKey(key);
-                    }
-                }
-                clearLongTapRepeatTimers(key);
+            ev.on('views.dialog.open', dropPoint);
+            ev.on('models.match.saveError', function onSaveError() {
+                toast.show(TOAST_TEXTS.saveError);
             });
-            numpad.addEventListener('touchcancel', function onTouchCancel(e) {
-                var key = '',
-                    target = e.target,
-                    classList = target.classList;
-
-                if (!classList.contains('key') &&
-                    !classList.contains('longkey')) {
-                    return;
+            ev.on('models.match.reset', render);
+            ev.on('models.match.undoReset', render);
+            ev.on('models.match.abandon', function onAbandon() {
+                toast.show(
+                    TOAST_TEXTS.abandoned,
+                    TOAST_TEXTS.undo,
+                    match.undoReset
+                );
+            });
+            ev.on('views.menu.command', function onMenuCommand(e) {
+                if (e.detail.name === 'swap' || e.detail.name === 'lock') {
+                    execute(e.detail.name);
                 }
-                classList.remove('press');
-                key = target.id.replace(/key_/, '');
-                clearLongTapRepeatTimers(key);
             });
-            document.addEventListener('tizenhwkey', function onTizenHwKey(e) {
-                if (e.keyName === 'back') {
-                    try {
-                        tizen.application.getCurrentApplication().exit();
-                    } catch (ignore) {}
+            ev.on('views.input.lock', render);
+            // the app may be closed by the system while in background
+            document.addEventListener('visibilitychange', function onHide() {
+                if (document.hidden) {
+                    match.save();
                 }
             });
         }
@@ -563,26 +701,37 @@ define({
          * Initializes UI module.
          *
          * Following actions are performed:
-         * - assignment of the most significant UI elements to the variables
+         * - assignment of the score elements to the variables
          * - events binding
-         * - preloading images
-         * - clearing error state
-         * - clearing result state
-         * - disabling multitouch
+         * - rendering the current match state
          *
          * @memberof views/main
          * @public
          */
         function init() {
-            resultElement = document.getElementById('result');
-            resultValueElement = document.getElementById('resultvalue');
-            equationElement = document.getElementById('equation');
-            displayElement = document.getElementById('display');
+            var position = '',
+                score = null;
+
+            numpadElement = document.getElementById('numpad');
+            statusElement = document.getElementById('status');
+            callElement = document.getElementById('call');
+            undoElement = document.getElementById('key_undo');
+            redoElement = document.getElementById('key_redo');
+            for (position in POSITIONS) {
+                if (POSITIONS.hasOwnProperty(position)) {
+                    score = document.getElementById('key_score_' + position);
+                    nameElements[POSITIONS[position]] =
+                        document.getElementById('key_name_' + position);
+                    setElements[POSITIONS[position]] =
+                        score.querySelector('.sets');
+                    gameElements[POSITIONS[position]] =
+                        score.querySelector('.games');
+                    pointElements[POSITIONS[position]] =
+                        document.getElementById('key_point_' + position);
+                }
+            }
             bindEvents();
-            // disable multitouch
-            document.body.addEventListener('touchstart', filterTap, true);
-            document.body.addEventListener('touchend', filterTap, true);
-            refreshEquation();
+            render();
         }
 
         return {
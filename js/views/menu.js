@@ -0,0 +1,62 @@
+/*global define, document*/
+
+/**
+ * Menu view module.
+ * Lists the secondary pages reachable from the scoreboard
+ * and commands applied to the scoreboard.
+ *
+ * @module views/menu
+ * @requires {@link core/event}
+ * @requires {@link views/pages}
+ * @namespace views/menu
+ */
+define({
+    name: 'views/menu',
+    requires: [
+        'core/event',
+        'views/pages'
+    ],
+    def: function menu(ev, pages) {
+        'use strict';
+
+        /**
+         * Handles click on a menu item.
+         * Items name the page they open in the data-page attribute
+         * or the command they fire in the data-command attribute.
+         * A command returns to the scoreboard.
+         *
+         * @memberof views/menu
+         * @private
+         * @param {Event} e
+         * @fires "views.menu.command"
+         */
+        function onItemClick(e) {
+            var page = e.target.getAttribute('data-page'),
+                command = e.target.getAttribute('data-command');
+
+            if (page) {
+                pages.show(page);
+            } else if (command) {
+                pages.home();
+                ev.fire('command', {
+                    name: command
+                });
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/menu
+         * @public
+         */
+        function init() {
+            document.getElementById('menu-list')
+                .addEventListener('click', onItemClick);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
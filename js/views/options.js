@@ -0,0 +1,97 @@
+/*global define, document*/
+
+/**
+ * Options module.
+ * Renders lists of options which switch to their next value when tapped,
+ * and adds plain items to lists.
+ *
+ * An option is described by an object with properties:
+ * - key: name of the value,
+ * - label: text shown before the value,
+ * - values: list of possible values,
+ * - name: function returning text of a value.
+ *
+ * @module views/options
+ * @namespace views/options
+ */
+define({
+    name: 'views/options',
+    def: function options() {
+        'use strict';
+
+        /**
+         * Adds a list item with the given class and text to the list.
+         *
+         * @memberof views/options
+         * @public
+         * @param {HTMLElement} listElement
+         * @param {string} className
+         * @param {string} text
+         * @returns {HTMLElement}
+         */
+        function addItem(listElement, className, text) {
+            var item = document.createElement('li');
+
+            item.className = className;
+            item.textContent = text;
+            listElement.appendChild(item);
+            return item;
+        }
+
+        /**
+         * Renders the options as 'Label: Value' list items.
+         *
+         * @memberof views/options
+         * @public
+         * @param {HTMLElement} listElement
+         * @param {object[]} list Options.
+         * @param {object} values Current values by option key.
+         */
+        function render(listElement, list, values) {
+            listElement.innerHTML = '';
+            list.forEach(function renderOption(option, index) {
+                addItem(
+                    listElement,
+                    '',
+                    option.label + ': ' + option.name(values[option.key])
+                ).setAttribute('data-index', index);
+            });
+        }
+
+        /**
+         * Returns the option of the tapped list item, null if the event
+         * does not come from an option.
+         *
+         * @memberof views/options
+         * @public
+         * @param {object[]} list Options.
+         * @param {Event} e
+         * @returns {object|null}
+         */
+        function fromEvent(list, e) {
+            return list[e.target.getAttribute('data-index')] || null;
+        }
+
+        /**
+         * Returns the value following the given one.
+         *
+         * @memberof views/options
+         * @public
+         * @param {object} option
+         * @param {*} value
+         * @returns {*}
+         */
+        function nextValue(option, value) {
+            var values = option.values;
+
+            return values[(values.indexOf(value) + 1) % values.length];
+        }
+
+        return {
+            addItem: addItem,
+            render: render,
+            fromEvent: fromEvent,
+            nextValue: nextValue
+        };
+    }
+});
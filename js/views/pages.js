@@ -0,0 +1,140 @@
+/*global define, document*/
+
+/**
+ * Pages module.
+ * Switches between the scoreboard and secondary pages and keeps
+ * the stack of visited pages for going back.
+ *
+ * @module views/pages
+ * @requires {@link core/event}
+ * @namespace views/pages
+ */
+define({
+    name: 'views/pages',
+    requires: [
+        'core/event'
+    ],
+    def: function pages(ev) {
+        'use strict';
+
+        /**
+         * Id of the root page.
+         *
+         * @memberof views/pages
+         * @private
+         * @const {string}
+         */
+        var ROOT = 'main',
+
+            /**
+             * Prefix of page element ids.
+             *
+             * @memberof views/pages
+             * @private
+             * @const {string}
+             */
+            ID_PREFIX = 'page-',
+
+            /**
+             * Ids of visited pages, the last one is displayed.
+             *
+             * @memberof views/pages
+             * @private
+             * @type {string[]}
+             */
+            stack = [ROOT];
+
+        /**
+         * Returns id of the displayed page.
+         *
+         * @memberof views/pages
+         * @public
+         * @returns {string}
+         */
+        function current() {
+            return stack[stack.length - 1];
+        }
+
+        /**
+         * Displays the current page and hides the others.
+         *
+         * @memberof views/pages
+         * @private
+         * @fires "views.pages.change"
+         */
+        function display() {
+            var id = ID_PREFIX + current(),
+                elements = document.querySelectorAll('.page'),
+                i = 0;
+
+            for (i = 0; i < elements.length; i += 1) {
+                elements[i].classList.toggle('active', elements[i].id === id);
+            }
+            ev.fire('change', {
+                id: current()
+            });
+        }
+
+        /**
+         * Shows the given page on top of the current one.
+         *
+         * @memberof views/pages
+         * @public
+         * @param {string} id Page id without the 'page-' prefix.
+         */
+        function show(id) {
+            if (current() === id) {
+                return;
+            }
+            stack.push(id);
+            display();
+        }
+
+        /**
+         * Goes back to the previous page.
+         * Returns false if the root page is displayed already.
+         *
+         * @memberof views/pages
+         * @public
+         * @returns {boolean}
+         */
+        function back() {
+            if (stack.length === 1) {
+                return false;
+            }
+            stack.pop();
+            display();
+            return true;
+        }
+
+        /**
+         * Goes back to the root page.
+         *
+         * @memberof views/pages
+         * @public
+         */
+        function home() {
+            stack = [ROOT];
+            display();
+        }
+
+        /**
+         * Returns true if the root page is displayed.
+         *
+         * @memberof views/pages
+         * @public
+         * @returns {boolean}
+         */
+        function isRoot() {
+            return stack.length === 1;
+        }
+
+        return {
+            current: current,
+            show: show,
+            back: back,
+            home: home,
+            isRoot: isRoot
+        };
+    }
+});
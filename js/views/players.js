@@ -0,0 +1,228 @@
+/*global define, document*/
+
+/**
+ * Players view module.
+ * Lets the user pick a player of the roster, a recent pairing,
+ * or add a new player with the keyboard or handwriting input.
+ * Recent pairings are suggested first. Players already chosen
+ * in other slots are left out.
+ *
+ * @module views/players
+ * @requires {@link models/roster}
+ * @requires {@link views/options}
+ * @requires {@link views/pages}
+ * @namespace views/players
+ */
+define({
+    name: 'views/players',
+    requires: [
+        'models/roster',
+        'views/options',
+        'views/pages'
+    ],
+    def: function players(roster, optionList, pages) {
+        'use strict';
+
+        /**
+         * Page id.
+         *
+         * @memberof views/players
+         * @private
+         * @const {string}
+         */
+        var PAGE = 'players',
+
+            /**
+             * Headings of the list sections.
+             *
+             * @memberof views/players
+             * @private
+             * @const {object}
+             */
+            HEADINGS = {
+                pairings: 'Recent',
+                players: 'Players'
+            },
+
+            /**
+             * List element.
+             *
+             * @memberof views/players
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null,
+
+            /**
+             * Name input element.
+             *
+             * @memberof views/players
+             * @private
+             * @type {HTMLInputElement}
+             */
+            nameElement = null,
+
+            /**
+             * Pairings shown in the list.
+             *
+             * @memberof views/players
+             * @private
+             * @type {string[][][]}
+             */
+            pairings = [],
+
+            /**
+             * Names chosen in other slots, which cannot be picked.
+             *
+             * @memberof views/players
+             * @private
+             * @type {string[]}
+             */
+            taken = [],
+
+            /**
+             * Callback of the picked player.
+             *
+             * @memberof views/players
+             * @private
+             * @type {function}
+             */
+            onPlayer = null,
+
+            /**
+             * Callback of the picked pairing.
+             *
+             * @memberof views/players
+             * @private
+             * @type {function}
+             */
+            onPairing = null;
+
+        /**
+         * Renders the recent pairings followed by the players.
+         *
+         * @memberof views/players
+         * @private
+         */
+        function render() {
+            var names = roster.getPlayers().filter(function isFree(name) {
+                return taken.indexOf(name) === -1;
+            });
+
+            listElement.innerHTML = '';
+            if (pairings.length) {
+                optionList.addItem(listElement, 'heading', HEADINGS.pairings);
+                pairings.forEach(function renderPairing(pairing, index) {
+                    optionList.addItem(listElement, '', pairing.map(
+                        function formatTeam(team) {
+                            return team.join(' / ');
+                        }
+                    ).join(' - ')).setAttribute('data-pairing', index);
+                });
+            }
+            if (names.length) {
+                optionList.addItem(listElement, 'heading', HEADINGS.players);
+                names.forEach(function renderPlayer(name) {
+                    optionList.addItem(listElement, '', name)
+                        .setAttribute('data-name', name);
+                });
+            }
+        }
+
+        /**
+         * Returns to the previous page and calls the callback.
+         *
+         * @memberof views/players
+         * @private
+         * @param {function} callback
+         * @param {string|string[][]} value
+         */
+        function pick(callback, value) {
+            onPlayer = null;
+            onPairing = null;
+            pages.back();
+            callback(value);
+        }
+
+        /**
+         * Picks the tapped player or pairing.
+         *
+         * @memberof views/players
+         * @private
+         * @param {Event} e
+         */
+        function onListClick(e) {
+            var name = e.target.getAttribute('data-name'),
+                pairing = e.target.getAttribute('data-pairing');
+
+            if (name !== null && onPlayer) {
+                pick(onPlayer, name);
+            } else if (pairing !== null && onPairing) {
+                pick(onPairing, pairings[pairing]);
+            }
+        }
+
+        /**
+         * Adds the typed player to the roster and picks it,
+         * unless it is chosen in another slot.
+         *
+         * @memberof views/players
+         * @private
+         */
+        function addPlayer() {
+            var name = roster.add(nameElement.value);
+
+            nameElement.value = '';
+            nameElement.blur();
+            if (name && onPlayer && taken.indexOf(name) === -1) {
+                pick(onPlayer, name);
+            }
+        }
+
+        /**
+         * Shows the page to pick a player.
+         *
+         * @memberof views/players
+         * @public
+         * @param {number} teamSize Size of the teams of the suggested
+         * pairings, 1 for singles, 2 for doubles.
+         * @param {string[]} takenNames Names chosen in other slots.
+         * @param {function} playerCallback Called with the picked name.
+         * @param {function} pairingCallback Called with names of both
+         * teams of the picked pairing.
+         */
+        function choose(teamSize, takenNames, playerCallback, pairingCallback) {
+            taken = takenNames;
+            onPlayer = playerCallback;
+            onPairing = pairingCallback;
+            pairings = roster.getPairings(teamSize);
+            nameElement.value = '';
+            render();
+            pages.show(PAGE);
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/players
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('players-list');
+            nameElement = document.getElementById('players-name');
+            listElement.addEventListener('click', onListClick);
+            document.getElementById('players-add')
+                .addEventListener('click', addPlayer);
+            nameElement.addEventListener('keydown', function onKey(e) {
+                if (e.key === 'Enter') {
+                    addPlayer();
+                }
+            });
+        }
+
+        return {
+            init: init,
+            choose: choose
+        };
+    }
+});
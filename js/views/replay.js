@@ -0,0 +1,188 @@
+/*global define, document*/
+
+/**
+ * Replay view module.
+ * Steps through the log one entry at a time, starting at the latest one.
+ * The bezel steps too, clockwise forward in time.
+ *
+ * @module views/replay
+ * @requires {@link core/event}
+ * @requires {@link models/log}
+ * @requires {@link views/bezel}
+ * @requires {@link views/time}
+ * @namespace views/replay
+ */
+define({
+    name: 'views/replay',
+    requires: [
+        'core/event',
+        'models/log',
+        'views/bezel',
+        'views/time'
+    ],
+    def: function replay(ev, log, bezel, time) {
+        'use strict';
+
+        /**
+         * Page id.
+         *
+         * @memberof views/replay
+         * @private
+         * @const {string}
+         */
+        var PAGE = 'replay',
+
+            /**
+             * Descriptions of the entry types without a side.
+             *
+             * @memberof views/replay
+             * @private
+             * @const {object}
+             */
+            TYPE_TEXTS = {
+                undo: 'Undo',
+                redo: 'Redo',
+                reset: 'New match',
+                undoReset: 'New match undone'
+            },
+
+            /**
+             * Reasons of ignored taps.
+             *
+             * @memberof views/replay
+             * @private
+             * @const {object}
+             */
+            REASON_TEXTS = {
+                locked: 'locked',
+                short: 'too short',
+                single: 'no double tap'
+            },
+
+            /**
+             * Index of the displayed entry.
+             *
+             * @memberof views/replay
+             * @private
+             * @type {number}
+             */
+            index = 0,
+
+            /**
+             * Elements of the entry fields by field name.
+             *
+             * @memberof views/replay
+             * @private
+             * @type {object}
+             */
+            elements = {};
+
+        /**
+         * Returns description of the entry, e.g. 'Point A'.
+         *
+         * @memberof views/replay
+         * @private
+         * @param {object} entry
+         * @returns {string}
+         */
+        function describe(entry) {
+            if (entry.type === log.TYPE.POINT) {
+                return 'Point ' + entry.players[entry.side];
+            }
+            if (entry.type === log.TYPE.REJECTED) {
+                return 'Ignored ' + entry.input.replace('_', ' ') +
+                    ' (' + REASON_TEXTS[entry.reason] + ')';
+            }
+            return TYPE_TEXTS[entry.type];
+        }
+
+        /**
+         * Renders the displayed entry.
+         *
+         * @memberof views/replay
+         * @private
+         */
+        function render() {
+            var entry = log.get(index);
+
+            if (!entry) {
+                elements.position.textContent = 'Log is empty';
+                elements.time.textContent = '';
+                elements.event.textContent = '';
+                elements.players.textContent = '';
+                elements.score.textContent = '';
+                return;
+            }
+            elements.position.textContent = (index + 1) + ' / ' + log.count();
+            elements.time.textContent = time.formatTime(entry.time);
+            elements.event.textContent = describe(entry);
+            elements.players.textContent = entry.players.join(' - ');
+            elements.score.textContent = entry.score;
+        }
+
+        /**
+         * Displays the entry the given number of entries away.
+         *
+         * @memberof views/replay
+         * @private
+         * @param {number} delta Negative to step back in time.
+         */
+        function step(delta) {
+            index = Math.max(0, Math.min(log.count() - 1, index + delta));
+            render();
+        }
+
+        /**
+         * Displays the latest entry when the page is shown.
+         *
+         * @memberof views/replay
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id === PAGE) {
+                index = log.count() - 1;
+                render();
+            }
+        }
+
+        /**
+         * Steps with the bezel instead of scrolling.
+         *
+         * @memberof views/replay
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onRotate(e) {
+            if (e.detail.page === PAGE) {
+                e.preventDefault();
+                step(e.detail.direction === bezel.DIRECTION.CLOCKWISE ?
+                        1 : -1);
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/replay
+         * @public
+         */
+        function init() {
+            ['position', 'time', 'event', 'players', 'score'].forEach(
+                function getElement(name) {
+                    elements[name] = document.getElementById('replay-' + name);
+                }
+            );
+            document.getElementById('replay-prev')
+                .addEventListener('click', step.bind(null, -1));
+            document.getElementById('replay-next')
+                .addEventListener('click', step.bind(null, 1));
+            ev.on('views.pages.change', onPageChange);
+            ev.on('views.bezel.rotate', onRotate);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,205 @@
+/*global define, document*/
+
+/**
+ * Roster view module.
+ * Lists the saved players with the pairings they played in.
+ * Tapping a pairing shows its head to head card, tapping a player
+ * removes the player once confirmed.
+ *
+ * @module views/roster
+ * @requires {@link core/event}
+ * @requires {@link models/headtohead}
+ * @requires {@link models/roster}
+ * @requires {@link views/dialog}
+ * @requires {@link views/headtohead}
+ * @requires {@link views/options}
+ * @namespace views/roster
+ */
+define({
+    name: 'views/roster',
+    requires: [
+        'core/event',
+        'models/headtohead',
+        'models/roster',
+        'views/dialog',
+        'views/headtohead',
+        'views/options'
+    ],
+    def: function rosterView(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            headToHead = req.models.headtohead,
+            roster = req.models.roster,
+            dialog = req.views.dialog,
+            card = req.views.headtohead,
+            optionList = req.views.options,
+
+            /**
+             * Page id.
+             *
+             * @memberof views/roster
+             * @private
+             * @const {string}
+             */
+            PAGE = 'roster',
+
+            /**
+             * Texts of the list without records.
+             *
+             * @memberof views/roster
+             * @private
+             * @const {object}
+             */
+            EMPTY_TEXTS = {
+                roster: 'No saved players',
+                records: 'No matches yet'
+            },
+
+            /**
+             * Question asked before the player is removed.
+             *
+             * @memberof views/roster
+             * @private
+             * @const {string}
+             */
+            REMOVE_QUESTION = 'Remove player ',
+
+            /**
+             * List element.
+             *
+             * @memberof views/roster
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null,
+
+            /**
+             * Records shown in the list.
+             *
+             * @memberof views/roster
+             * @private
+             * @type {object[]}
+             */
+            records = [];
+
+        /**
+         * Renders the player with the pairings the player played in,
+         * e.g. 'vs Lee 3-1' for matches won and lost.
+         *
+         * @memberof views/roster
+         * @private
+         * @param {string} name
+         */
+        function renderPlayer(name) {
+            var played = headToHead.getRecords(name);
+
+            optionList.addItem(listElement, 'heading', name)
+                .setAttribute('data-name', name);
+            if (!played.length) {
+                optionList.addItem(
+                    listElement,
+                    'detail',
+                    EMPTY_TEXTS.records
+                );
+            }
+            played.forEach(function renderRecord(record) {
+                var partners = record.teams[0].filter(function isOther(other) {
+                        return other !== name;
+                    }),
+                    text = 'vs ' + record.teams[1].join(' / ') + ' ' +
+                        record.matches.join('-');
+
+                if (partners.length) {
+                    text += ' (with ' + partners.join(' / ') + ')';
+                }
+                optionList.addItem(listElement, '', text)
+                    .setAttribute('data-index', records.length);
+                records.push(record);
+            });
+        }
+
+        /**
+         * Renders the list.
+         *
+         * @memberof views/roster
+         * @private
+         */
+        function render() {
+            var names = roster.getPlayers();
+
+            listElement.innerHTML = '';
+            records = [];
+            if (!names.length) {
+                optionList.addItem(
+                    listElement,
+                    'detail',
+                    EMPTY_TEXTS.roster
+                );
+            }
+            names.forEach(renderPlayer);
+        }
+
+        /**
+         * Removes the player from the roster once confirmed.
+         *
+         * @memberof views/roster
+         * @private
+         * @param {string} name
+         */
+        function confirmRemove(name) {
+            dialog.confirm(REMOVE_QUESTION + name + '?', function remove() {
+                roster.remove(name);
+                render();
+            });
+        }
+
+        /**
+         * Shows the head to head card of the tapped pairing,
+         * or asks to remove the tapped player.
+         *
+         * @memberof views/roster
+         * @private
+         * @param {Event} e
+         */
+        function onListClick(e) {
+            var record = records[e.target.getAttribute('data-index')],
+                name = e.target.getAttribute('data-name');
+
+            if (record) {
+                card.show(record.teams);
+            } else if (name !== null) {
+                confirmRemove(name);
+            }
+        }
+
+        /**
+         * Renders the list when the page is shown.
+         *
+         * @memberof views/roster
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id === PAGE) {
+                render();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/roster
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('roster-list');
+            listElement.addEventListener('click', onListClick);
+            ev.on('views.pages.change', onPageChange);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,359 @@
+/*global define, document*/
+
+/**
+ * Settings view module.
+ * Lets the user change preferences of the app, including
+ * the vibration preset of every event and commands of swipes
+ * and bezel rotation.
+ *
+ * @module views/settings
+ * @requires {@link core/event}
+ * @requires {@link models/settings}
+ * @requires {@link views/haptics}
+ * @requires {@link views/input}
+ * @requires {@link views/options}
+ * @namespace views/settings
+ */
+define({
+    name: 'views/settings',
+    requires: [
+        'core/event',
+        'models/settings',
+        'views/haptics',
+        'views/input',
+        'views/options'
+    ],
+    def: function settingsView(ev, settings, haptics, input, optionList) {
+        'use strict';
+
+        /**
+         * Page id.
+         *
+         * @memberof views/settings
+         * @private
+         * @const {string}
+         */
+        var PAGE = 'settings',
+
+            /**
+             * Options shown on the page.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object[]}
+             */
+            OPTIONS = [
+                {
+                    key: 'autoSwap',
+                    label: 'Swap on change of ends',
+                    values: [false, true],
+                    name: function onOffName(value) {
+                        return value ? 'On' : 'Off';
+                    }
+                },
+                {
+                    key: 'backKey',
+                    label: 'Back key',
+                    values: ['confirm', 'undo', 'exit'],
+                    name: function backKeyName(value) {
+                        return {
+                            confirm: 'Confirm exit',
+                            undo: 'Undo point',
+                            exit: 'Exit'
+                        }[value];
+                    }
+                },
+                {
+                    key: 'bezel',
+                    label: 'Bezel scoring',
+                    values: ['off', 'tap', 'timeout'],
+                    name: function bezelName(value) {
+                        return {
+                            off: 'Off',
+                            tap: 'Tap to confirm',
+                            timeout: 'Auto confirm'
+                        }[value];
+                    }
+                },
+                {
+                    key: 'tapGuard',
+                    label: 'Point tap guard',
+                    values: ['off', 'hold', 'double'],
+                    name: function tapGuardName(value) {
+                        return {
+                            off: 'Off',
+                            hold: 'Short hold',
+                            double: 'Double tap'
+                        }[value];
+                    }
+                },
+                {
+                    key: 'serveClock',
+                    label: 'Serve clock',
+                    values: [false, true],
+                    name: function onOffName(value) {
+                        return value ? 'On' : 'Off';
+                    }
+                },
+                {
+                    key: 'haptics',
+                    label: 'Vibration',
+                    values: [false, true],
+                    name: function onOffName(value) {
+                        return value ? 'On' : 'Off';
+                    }
+                },
+                {
+                    key: 'voice',
+                    label: 'Voice',
+                    values: ['off', 'en', 'ko'],
+                    name: function voiceName(value) {
+                        return {
+                            off: 'Off',
+                            en: 'English',
+                            ko: '한국어'
+                        }[value];
+                    }
+                }
+            ],
+
+            /**
+             * Labels of the vibration options by event.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object}
+             */
+            VIBRATION_LABELS = {
+                point: 'Point vibration',
+                game: 'Game vibration',
+                set: 'Set vibration',
+                match: 'Match vibration',
+                changeEnds: 'Change ends vibration',
+                warning: 'Warning vibration',
+                timeUp: 'Time up vibration'
+            },
+
+            /**
+             * Names of the vibration presets.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object}
+             */
+            PRESET_NAMES = {
+                tap: 'Tap',
+                double: 'Double',
+                long: 'Long',
+                triple: 'Triple',
+                wave: 'Wave',
+                buzz: 'Buzz',
+                pulse: 'Pulse',
+                off: 'Off'
+            },
+
+            /**
+             * Inputs which may be mapped to other commands.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object[]}
+             */
+            INPUTS = [
+                {source: 'swipe', name: 'left', label: 'Swipe left'},
+                {source: 'swipe', name: 'right', label: 'Swipe right'},
+                {source: 'swipe', name: 'up', label: 'Swipe up'},
+                {source: 'swipe', name: 'down', label: 'Swipe down'},
+                {source: 'bezel', name: 'CW', label: 'Bezel clockwise'},
+                {source: 'bezel', name: 'CCW', label: 'Bezel anticlockwise'}
+            ],
+
+            /**
+             * Commands the inputs may be mapped to by source.
+             * Reset needs a held key, so it is not offered.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object}
+             */
+            COMMANDS = {
+                swipe: ['', 'undo', 'redo', 'swap', 'lock', 'score', 'menu'],
+                bezel: ['choose:right', 'choose:left', 'undo', 'redo', '']
+            },
+
+            /**
+             * Names of the commands.
+             *
+             * @memberof views/settings
+             * @private
+             * @const {object}
+             */
+            COMMAND_NAMES = {
+                '': 'None',
+                'undo': 'Undo',
+                'redo': 'Redo',
+                'swap': 'Swap sides',
+                'lock': 'Lock',
+                'score': 'Say score',
+                'menu': 'Menu',
+                'choose:left': 'Point left',
+                'choose:right': 'Point right'
+            },
+
+            /**
+             * Options shown on the page followed by the vibration
+             * and input options, which get and set their values
+             * with their own get and set functions.
+             *
+             * @memberof views/settings
+             * @private
+             * @type {object[]}
+             */
+            options = [],
+
+            /**
+             * Options list element.
+             *
+             * @memberof views/settings
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null;
+
+        /**
+         * Returns current value of the option.
+         *
+         * @memberof views/settings
+         * @private
+         * @param {object} option
+         * @returns {*}
+         */
+        function getValue(option) {
+            return option.get ? option.get() : settings.get(option.key);
+        }
+
+        /**
+         * Renders the options list.
+         *
+         * @memberof views/settings
+         * @private
+         */
+        function render() {
+            var values = {};
+
+            options.forEach(function addValue(option) {
+                values[option.key] = getValue(option);
+            });
+            optionList.render(listElement, options, values);
+        }
+
+        /**
+         * Switches the tapped setting to its next value.
+         *
+         * @memberof views/settings
+         * @private
+         * @param {Event} e
+         */
+        function onOptionClick(e) {
+            var option = optionList.fromEvent(options, e),
+                value = null;
+
+            if (!option) {
+                return;
+            }
+            value = optionList.nextValue(option, getValue(option));
+            if (option.set) {
+                option.set(value);
+            } else {
+                settings.set(option.key, value);
+            }
+            render();
+        }
+
+        /**
+         * Renders the options when the page is shown.
+         *
+         * @memberof views/settings
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id === PAGE) {
+                render();
+            }
+        }
+
+        /**
+         * Creates option choosing vibration preset of the event.
+         *
+         * @memberof views/settings
+         * @private
+         * @param {string} event
+         * @returns {object}
+         */
+        function createVibrationOption(event) {
+            return {
+                key: 'vibration.' + event,
+                label: VIBRATION_LABELS[event],
+                values: haptics.getPresets(),
+                name: function presetName(value) {
+                    return PRESET_NAMES[value];
+                },
+                get: function getPreset() {
+                    return haptics.getPreset(event);
+                },
+                set: function setPreset(value) {
+                    haptics.setPreset(event, value);
+                }
+            };
+        }
+
+        /**
+         * Creates option choosing command of the input.
+         *
+         * @memberof views/settings
+         * @private
+         * @param {object} entry Input, one of INPUTS.
+         * @returns {object}
+         */
+        function createInputOption(entry) {
+            return {
+                key: 'input.' + entry.source + '.' + entry.name,
+                label: entry.label,
+                values: COMMANDS[entry.source],
+                name: function commandName(value) {
+                    return COMMAND_NAMES[value];
+                },
+                get: function getCommand() {
+                    return input.getMapping(entry.source)[entry.name] || '';
+                },
+                set: function setCommand(value) {
+                    var mapping = input.getMapping(entry.source);
+
+                    mapping[entry.name] = value;
+                    input.setMapping(entry.source, mapping);
+                }
+            };
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/settings
+         * @public
+         */
+        function init() {
+            options = OPTIONS.concat(
+                haptics.getEvents().map(createVibrationOption),
+                INPUTS.map(createInputOption)
+            );
+            listElement = document.getElementById('settings-options');
+            listElement.addEventListener('click', onOptionClick);
+            ev.on('views.pages.change', onPageChange);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
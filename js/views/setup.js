@@ -0,0 +1,484 @@
+/*global define, document*/
+
+/**
+ * Setup view module.
+ * Lets the user choose the format and the players before a new match
+ * starts.
+ *
+ * @module views/setup
+ * @requires {@link core/event}
+ * @requires {@link models/format}
+ * @requires {@link models/match}
+ * @requires {@link models/roster}
+ * @requires {@link views/dialog}
+ * @requires {@link views/headtohead}
+ * @requires {@link views/options}
+ * @requires {@link views/pages}
+ * @requires {@link views/players}
+ * @requires {@link views/toast}
+ * @namespace views/setup
+ */
+define({
+    name: 'views/setup',
+    requires: [
+        'core/event',
+        'models/format',
+        'models/match',
+        'models/roster',
+        'views/dialog',
+        'views/headtohead',
+        'views/options',
+        'views/pages',
+        'views/players',
+        'views/toast'
+    ],
+    def: function setup(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            formats = req.models.format,
+            match = req.models.match,
+            roster = req.models.roster,
+            dialog = req.views.dialog,
+            headToHead = req.views.headtohead,
+            optionList = req.views.options,
+            pages = req.views.pages,
+            playerPicker = req.views.players,
+            toast = req.views.toast,
+
+            /**
+             * Page id.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {string}
+             */
+            PAGE = 'setup',
+
+            /**
+             * Names of the final set modes.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {object}
+             */
+            FINAL_SET_NAMES = {
+                advantage: 'Advantage',
+                tiebreak: 'Tiebreak',
+                matchTiebreak: 'Match tiebreak'
+            },
+
+            /**
+             * Names of the deuce modes.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {object}
+             */
+            DEUCE_NAMES = {
+                advantage: 'Advantage',
+                decidingPoint: 'Deciding point',
+                receiverChooses: 'Receiver chooses'
+            },
+
+            /**
+             * Options shown on the page. Tapping an option switches it
+             * to the next of its values.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {object[]}
+             */
+            OPTIONS = [
+                {
+                    key: 'doubles',
+                    label: 'Play',
+                    values: [false, true],
+                    name: function doublesName(value) {
+                        return value ? 'Doubles' : 'Singles';
+                    }
+                },
+                {
+                    key: 'sets',
+                    label: 'Sets',
+                    values: formats.SET_COUNTS,
+                    name: function setsName(value) {
+                        return value === 1 ? 'Single set' : 'Best of ' + value;
+                    }
+                },
+                {
+                    key: 'games',
+                    label: 'Games',
+                    values: formats.SET_GAMES,
+                    name: String
+                },
+                {
+                    key: 'finalSet',
+                    label: 'Final set',
+                    values: Object.keys(FINAL_SET_NAMES),
+                    name: function finalSetName(value) {
+                        return FINAL_SET_NAMES[value];
+                    }
+                },
+                {
+                    key: 'deuce',
+                    label: 'Deuce',
+                    values: Object.keys(DEUCE_NAMES),
+                    name: function deuceName(value) {
+                        return DEUCE_NAMES[value];
+                    }
+                }
+            ],
+
+            /**
+             * Text of the toast when a player is chosen twice.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {string}
+             */
+            TWICE_TEXT = 'A player cannot play twice',
+
+            /**
+             * Question asked before a match in progress is abandoned.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {string}
+             */
+            ABANDON_QUESTION = 'Abandon the match in progress?',
+
+            /**
+             * Headings of the teams.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {string[]}
+             */
+            TEAM_HEADINGS = ['Side A', 'Side B'],
+
+            /**
+             * Default names of the teams, numbered in doubles.
+             *
+             * @memberof views/setup
+             * @private
+             * @const {string[]}
+             */
+            TEAM_NAMES = ['A', 'B'],
+
+            /**
+             * Options list element.
+             *
+             * @memberof views/setup
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null,
+
+            /**
+             * Players list element.
+             *
+             * @memberof views/setup
+             * @private
+             * @type {HTMLElement}
+             */
+            playersElement = null,
+
+            /**
+             * Format being edited.
+             *
+             * @memberof views/setup
+             * @private
+             * @type {object}
+             */
+            draft = null,
+
+            /**
+             * Names of both teams being edited.
+             *
+             * @memberof views/setup
+             * @private
+             * @type {string[][]}
+             */
+            names = null,
+
+            /**
+             * True while a player is being picked, so the edited
+             * match is kept when the page is shown again.
+             *
+             * @memberof views/setup
+             * @private
+             * @type {boolean}
+             */
+            picking = false;
+
+        /**
+         * Returns number of players of a team of the edited format.
+         *
+         * @memberof views/setup
+         * @private
+         * @returns {number}
+         */
+        function getTeamSize() {
+            return draft.doubles ? 2 : 1;
+        }
+
+        /**
+         * Returns names of both teams cut to the team size
+         * of the edited format.
+         *
+         * @memberof views/setup
+         * @private
+         * @returns {string[][]}
+         */
+        function getChosenNames() {
+            var size = getTeamSize();
+
+            return names.map(function getTeam(team) {
+                return team.slice(0, size);
+            });
+        }
+
+        /**
+         * Returns names chosen in the slots other than the given one.
+         *
+         * @memberof views/setup
+         * @private
+         * @param {number} side
+         * @param {number} index
+         * @returns {string[]}
+         */
+        function getTakenNames(side, index) {
+            return getChosenNames().reduce(function addTeam(taken, team, i) {
+                return taken.concat(team.filter(function isTaken(name, j) {
+                    return name && (i !== side || j !== index);
+                }));
+            }, []);
+        }
+
+        /**
+         * Returns true if a player is chosen in more than one slot.
+         *
+         * @memberof views/setup
+         * @private
+         * @returns {boolean}
+         */
+        function hasPlayerTwice() {
+            var chosen = getChosenNames().reduce(function addTeam(all, team) {
+                return all.concat(team.filter(Boolean));
+            }, []);
+
+            return chosen.some(function isTwice(name, index) {
+                return chosen.indexOf(name) !== index;
+            });
+        }
+
+        /**
+         * Returns names of the current players who are in the roster,
+         * other players are left empty.
+         *
+         * @memberof views/setup
+         * @private
+         * @returns {string[][]}
+         */
+        function getRosterNames() {
+            var saved = roster.getPlayers();
+
+            return match.getState().players.map(function getTeam(team) {
+                return team.map(function getName(player) {
+                    return saved.indexOf(player.name) === -1 ? '' : player.name;
+                });
+            });
+        }
+
+        /**
+         * Renders the players of both teams. A player without a name
+         * shows the default one.
+         *
+         * @memberof views/setup
+         * @private
+         */
+        function renderPlayers() {
+            playersElement.innerHTML = '';
+            TEAM_HEADINGS.forEach(function renderTeam(heading, side) {
+                var item = document.createElement('li'),
+                    index = 0;
+
+                item.className = 'heading';
+                item.textContent = heading;
+                playersElement.appendChild(item);
+                for (index = 0; index < getTeamSize(); index += 1) {
+                    item = document.createElement('li');
+                    item.setAttribute('data-slot', side + ':' + index);
+                    item.textContent = names[side][index] ||
+                        TEAM_NAMES[side] + (draft.doubles ? index + 1 : '');
+                    playersElement.appendChild(item);
+                }
+            });
+        }
+
+        /**
+         * Renders the options and the players.
+         *
+         * @memberof views/setup
+         * @private
+         */
+        function render() {
+            optionList.render(listElement, OPTIONS, draft);
+            renderPlayers();
+        }
+
+        /**
+         * Picks the player of the tapped slot. A picked pairing
+         * fills all the slots.
+         *
+         * @memberof views/setup
+         * @private
+         * @param {Event} e
+         */
+        function onPlayerClick(e) {
+            var slot = e.target.getAttribute('data-slot'),
+                side = 0,
+                index = 0;
+
+            if (!slot) {
+                return;
+            }
+            side = Number(slot.split(':')[0]);
+            index = Number(slot.split(':')[1]);
+            picking = true;
+            playerPicker.choose(
+                getTeamSize(),
+                getTakenNames(side, index),
+                function onPlayer(name) {
+                    names[side][index] = name;
+                    render();
+                },
+                function onPairing(pairing) {
+                    names = pairing;
+                    render();
+                }
+            );
+        }
+
+        /**
+         * Switches the final set of the edited format past the match
+         * tiebreak when there is a single set, which cannot be played
+         * as a match tiebreak.
+         *
+         * @memberof views/setup
+         * @private
+         */
+        function skipMatchTiebreak() {
+            var option = OPTIONS.filter(function isFinalSet(item) {
+                return item.key === 'finalSet';
+            })[0];
+
+            if (draft.sets === 1 &&
+                    draft.finalSet === formats.FINAL_SET.MATCH_TIEBREAK) {
+                draft.finalSet = optionList.nextValue(option, draft.finalSet);
+            }
+        }
+
+        /**
+         * Switches the tapped option to its next value.
+         *
+         * @memberof views/setup
+         * @private
+         * @param {Event} e
+         */
+        function onOptionClick(e) {
+            var option = optionList.fromEvent(OPTIONS, e);
+
+            if (option) {
+                draft[option.key] =
+                    optionList.nextValue(option, draft[option.key]);
+                skipMatchTiebreak();
+                render();
+            }
+        }
+
+        /**
+         * Starts a new match with the chosen format and shows
+         * the head to head card if the teams have played each other.
+         *
+         * @memberof views/setup
+         * @private
+         */
+        function start() {
+            var teams = null;
+
+            match.reset(draft, getChosenNames());
+            teams = match.getState().players.map(function getTeam(team) {
+                return team.map(function getName(player) {
+                    return player.name;
+                });
+            });
+            roster.use(teams);
+            pages.home();
+            headToHead.show(teams);
+        }
+
+        /**
+         * Starts a new match. A match with the same player twice
+         * is not started, a match in progress is only abandoned
+         * once confirmed.
+         *
+         * @memberof views/setup
+         * @private
+         */
+        function onStartClick() {
+            if (hasPlayerTwice()) {
+                toast.show(TWICE_TEXT);
+                return;
+            }
+            if (match.hasStarted() &&
+                    match.getState().status !== match.STATUS.FINISHED) {
+                dialog.confirm(ABANDON_QUESTION, start);
+                return;
+            }
+            start();
+        }
+
+        /**
+         * Loads the current format and players when the page is shown,
+         * unless a player has just been picked.
+         *
+         * @memberof views/setup
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id !== PAGE) {
+                return;
+            }
+            if (!picking) {
+                draft = match.getFormat();
+                names = getRosterNames();
+                skipMatchTiebreak();
+            }
+            picking = false;
+            render();
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/setup
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('setup-options');
+            listElement.addEventListener('click', onOptionClick);
+            playersElement = document.getElementById('setup-players');
+            playersElement.addEventListener('click', onPlayerClick);
+            document.getElementById('setup-start')
+                .addEventListener('click', onStartClick);
+            ev.on('views.pages.change', onPageChange);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
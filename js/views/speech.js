@@ -0,0 +1,138 @@
+/*global define, window*/
+
+/**
+ * Speech view module.
+ * Speaks the umpire call after every point in the language chosen
+ * by the voice setting. Without speech synthesis it stays silent.
+ *
+ * @module views/speech
+ * @requires {@link core/event}
+ * @requires {@link models/match}
+ * @requires {@link models/settings}
+ * @requires {@link models/umpire}
+ * @namespace views/speech
+ */
+define({
+    name: 'views/speech',
+    requires: [
+        'core/event',
+        'models/match',
+        'models/settings',
+        'models/umpire'
+    ],
+    def: function speech(ev, match, settings, umpire) {
+        'use strict';
+
+        /**
+         * Speech locales by language of the calls.
+         *
+         * @memberof views/speech
+         * @private
+         * @const {object}
+         */
+        var LOCALES = {
+            en: 'en-US',
+            ko: 'ko-KR'
+        };
+
+        /**
+         * Returns true if the device synthesizes speech.
+         *
+         * @memberof views/speech
+         * @private
+         * @returns {boolean}
+         */
+        function isAvailable() {
+            return typeof window.speechSynthesis === 'object' &&
+                typeof window.SpeechSynthesisUtterance === 'function';
+        }
+
+        /**
+         * Returns language of the voice, null if the voice is off.
+         *
+         * @memberof views/speech
+         * @private
+         * @returns {string|null}
+         */
+        function getLanguage() {
+            var language = settings.get('voice');
+
+            return LOCALES[language] ? language : null;
+        }
+
+        /**
+         * Speaks the text, cutting off the text being spoken.
+         * Returns false if nothing is spoken.
+         *
+         * @memberof views/speech
+         * @private
+         * @param {string} text
+         * @param {string} language
+         * @returns {boolean}
+         */
+        function say(text, language) {
+            var utterance = null;
+
+            if (!isAvailable()) {
+                return false;
+            }
+            try {
+                utterance = new window.SpeechSynthesisUtterance(text);
+                utterance.lang = LOCALES[language];
+                window.speechSynthesis.cancel();
+                window.speechSynthesis.speak(utterance);
+            } catch (ignore) {
+                return false;
+            }
+            return true;
+        }
+
+        /**
+         * Speaks the full score of the match.
+         * Returns false if the voice is off or not available.
+         *
+         * @memberof views/speech
+         * @public
+         * @returns {boolean}
+         */
+        function sayScore() {
+            var language = getLanguage();
+
+            return language !== null &&
+                say(umpire.callScore(match.getState(), language), language);
+        }
+
+        /**
+         * Speaks the call of the point just played.
+         *
+         * @memberof views/speech
+         * @private
+         */
+        function onPoint() {
+            var language = getLanguage();
+
+            if (language !== null) {
+                say(umpire.call(
+                    match.getState(),
+                    match.getPreviousState(),
+                    language
+                ), language);
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/speech
+         * @public
+         */
+        function init() {
+            ev.on('models.match.point', onPoint);
+        }
+
+        return {
+            init: init,
+            sayScore: sayScore
+        };
+    }
+});
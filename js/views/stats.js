@@ -0,0 +1,154 @@
+/*global define, document*/
+
+/**
+ * Statistics view module.
+ * Shows serving statistics of every player and totals of both teams,
+ * and how long the match and its sets have lasted.
+ *
+ * @module views/stats
+ * @requires {@link core/event}
+ * @requires {@link models/clock}
+ * @requires {@link models/match}
+ * @requires {@link models/serving}
+ * @requires {@link views/options}
+ * @requires {@link views/time}
+ * @namespace views/stats
+ */
+define({
+    name: 'views/stats',
+    requires: [
+        'core/event',
+        'models/clock',
+        'models/match',
+        'models/serving',
+        'views/options',
+        'views/time'
+    ],
+    def: function stats(req) {
+        'use strict';
+
+        var ev = req.core.event,
+            clock = req.models.clock,
+            match = req.models.match,
+            serving = req.models.serving,
+            optionList = req.views.options,
+            time = req.views.time,
+
+            /**
+             * Page id.
+             *
+             * @memberof views/stats
+             * @private
+             * @const {string}
+             */
+            PAGE = 'stats',
+
+            /**
+             * Statistics list element.
+             *
+             * @memberof views/stats
+             * @private
+             * @type {HTMLElement}
+             */
+            listElement = null;
+
+        /**
+         * Returns serving summary, e.g. 'Serve 12/18, held 3/4'.
+         *
+         * @memberof views/stats
+         * @private
+         * @param {object} data Player or team statistics.
+         * @returns {string}
+         */
+        function formatServing(data) {
+            return 'Serve ' + data.servicePointsWon + '/' +
+                data.servicePoints + ', held ' + data.serviceGamesWon +
+                '/' + data.serviceGames;
+        }
+
+        /**
+         * Renders times of the match and of its sets.
+         *
+         * @memberof views/stats
+         * @private
+         */
+        function renderTimes() {
+            optionList.addItem(listElement, 'heading', 'Time');
+            optionList.addItem(
+                listElement,
+                '',
+                'Match ' + time.formatClock(clock.getElapsed())
+            );
+            clock.getSetTimes().forEach(function renderSet(duration, index) {
+                optionList.addItem(
+                    listElement,
+                    'detail',
+                    'Set ' + (index + 1) + ': ' + time.formatClock(duration)
+                );
+            });
+        }
+
+        /**
+         * Renders statistics of the current match.
+         *
+         * @memberof views/stats
+         * @private
+         */
+        function render() {
+            listElement.innerHTML = '';
+            serving.getStats(match.getState()).forEach(
+                function renderTeam(team) {
+                    optionList.addItem(listElement, 'heading', team.players.map(
+                        function getName(player) {
+                            return player.name;
+                        }
+                    ).join(' / '));
+                    optionList.addItem(
+                        listElement,
+                        '',
+                        'Points ' + team.pointsWon + ', games ' + team.gamesWon
+                    );
+                    optionList.addItem(listElement, '', formatServing(team));
+                    if (team.players.length > 1) {
+                        team.players.forEach(function renderPlayer(player) {
+                            optionList.addItem(
+                                listElement,
+                                'detail',
+                                player.name + ': ' + formatServing(player)
+                            );
+                        });
+                    }
+                }
+            );
+            renderTimes();
+        }
+
+        /**
+         * Renders statistics when the page is shown.
+         *
+         * @memberof views/stats
+         * @private
+         * @param {CustomEvent} e
+         */
+        function onPageChange(e) {
+            if (e.detail.id === PAGE) {
+                render();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/stats
+         * @public
+         */
+        function init() {
+            listElement = document.getElementById('stats-list');
+            ev.on('views.pages.change', onPageChange);
+        }
+
+        return {
+            init: init
+        };
+    }
+});
@@ -0,0 +1,96 @@
+/*global define*/
+
+/**
+ * Time module.
+ * Formats timestamps and durations for display.
+ *
+ * @module views/time
+ * @namespace views/time
+ */
+define({
+    name: 'views/time',
+    def: function time() {
+        'use strict';
+
+        /**
+         * Returns the number with a leading zero, e.g. '07'.
+         *
+         * @memberof views/time
+         * @private
+         * @param {number} value
+         * @returns {string}
+         */
+        function pad(value) {
+            return (value < 10 ? '0' : '') + value;
+        }
+
+        /**
+         * Returns the time as date and time of day, e.g. '2021-03-01 17:05'.
+         *
+         * @memberof views/time
+         * @public
+         * @param {number} timestamp Milliseconds since epoch.
+         * @returns {string}
+         */
+        function formatDate(timestamp) {
+            var date = new Date(timestamp);
+
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) +
+                '-' + pad(date.getDate()) + ' ' + pad(date.getHours()) +
+                ':' + pad(date.getMinutes());
+        }
+
+        /**
+         * Returns the time of day with seconds, e.g. '17:05:09'.
+         *
+         * @memberof views/time
+         * @public
+         * @param {number} timestamp Milliseconds since epoch.
+         * @returns {string}
+         */
+        function formatTime(timestamp) {
+            var date = new Date(timestamp);
+
+            return pad(date.getHours()) + ':' + pad(date.getMinutes()) +
+                ':' + pad(date.getSeconds());
+        }
+
+        /**
+         * Returns the duration in hours and minutes, e.g. '1h 05m'.
+         *
+         * @memberof views/time
+         * @public
+         * @param {number} duration Milliseconds.
+         * @returns {string}
+         */
+        function formatDuration(duration) {
+            var minutes = Math.round(duration / 60000);
+
+            return Math.floor(minutes / 60) + 'h ' + pad(minutes % 60) + 'm';
+        }
+
+        /**
+         * Returns the duration as a clock, e.g. '1:05:09' or '5:09'.
+         *
+         * @memberof views/time
+         * @public
+         * @param {number} duration Milliseconds.
+         * @returns {string}
+         */
+        function formatClock(duration) {
+            var seconds = Math.floor(duration / 1000),
+                minutes = Math.floor(seconds / 60),
+                hours = Math.floor(minutes / 60);
+
+            return (hours ? hours + ':' + pad(minutes % 60) : minutes) +
+                ':' + pad(seconds % 60);
+        }
+
+        return {
+            formatDate: formatDate,
+            formatTime: formatTime,
+            formatDuration: formatDuration,
+            formatClock: formatClock
+        };
+    }
+});
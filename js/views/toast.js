@@ -0,0 +1,135 @@
+/*global define, document, window*/
+
+/**
+ * Toast view module.
+ * Shows a short message with an optional action for a few seconds.
+ *
+ * @module views/toast
+ * @namespace views/toast
+ */
+define({
+    name: 'views/toast',
+    def: function toast() {
+        'use strict';
+
+        /**
+         * Time the toast is shown for, in milliseconds.
+         *
+         * @memberof views/toast
+         * @private
+         * @const {number}
+         */
+        var DURATION = 5000,
+
+            /**
+             * Toast element.
+             *
+             * @memberof views/toast
+             * @private
+             * @type {HTMLElement}
+             */
+            toastElement = null,
+
+            /**
+             * Message element.
+             *
+             * @memberof views/toast
+             * @private
+             * @type {HTMLElement}
+             */
+            messageElement = null,
+
+            /**
+             * Action element.
+             *
+             * @memberof views/toast
+             * @private
+             * @type {HTMLElement}
+             */
+            actionElement = null,
+
+            /**
+             * Callback of the action.
+             *
+             * @memberof views/toast
+             * @private
+             * @type {function}
+             */
+            onAction = null,
+
+            /**
+             * Timer hiding the toast.
+             *
+             * @memberof views/toast
+             * @private
+             * @type {number}
+             */
+            hideTimer = null;
+
+        /**
+         * Hides the toast. Its action is no longer available.
+         *
+         * @memberof views/toast
+         * @public
+         */
+        function hide() {
+            window.clearTimeout(hideTimer);
+            hideTimer = null;
+            onAction = null;
+            toastElement.classList.remove('active');
+        }
+
+        /**
+         * Shows the message, replacing the one shown.
+         *
+         * @memberof views/toast
+         * @public
+         * @param {string} message
+         * @param {string} [action] Label of the action.
+         * @param {function} [callback] Called when the action is tapped.
+         */
+        function show(message, action, callback) {
+            hide();
+            messageElement.textContent = message;
+            actionElement.textContent = action || '';
+            actionElement.classList.toggle('hidden', !action);
+            onAction = callback || null;
+            toastElement.classList.add('active');
+            hideTimer = window.setTimeout(hide, DURATION);
+        }
+
+        /**
+         * Calls the action and hides the toast.
+         *
+         * @memberof views/toast
+         * @private
+         */
+        function onActionClick() {
+            var callback = onAction;
+
+            hide();
+            if (callback) {
+                callback();
+            }
+        }
+
+        /**
+         * Initializes module.
+         *
+         * @memberof views/toast
+         * @public
+         */
+        function init() {
+            toastElement = document.getElementById('toast');
+            messageElement = toastElement.querySelector('.toast-message');
+            actionElement = document.getElementById('toast-action');
+            actionElement.addEventListener('click', onActionClick);
+        }
+
+        return {
+            init: init,
+            show: show,
+            hide: hide
+        };
+    }
+});